@@ -0,0 +1,232 @@
+// Cache backends. Both expose the same async interface:
+//   get(key) / set(key, value, ttlSeconds) / del(key) / keys(pattern)
+//   take(key) - get and delete in one step, for one-time values
+//   addToGroup(groupKey, member, value, ttlSeconds) / getGroup(groupKey)
+//   stats() / close()
+// Groups hold the cross-location delivery group totals: each member expires on
+// its own, and getGroup returns a consistent snapshot of the live members.
+// Patterns only support a trailing * (prefix match).
+import { createClient } from 'redis';
+
+// Process-local cache. Fine for a single instance; replicas don't share it.
+export function createMemoryCache() {
+  const entries = new Map();
+
+  function live(entry) {
+    return entry && Date.now() <= entry.expiresAt;
+  }
+
+  function setEntry(key, value, ttlSeconds) {
+    // Clear any existing timer for this key
+    const existing = entries.get(key);
+    if (existing && existing.timer) {
+      clearTimeout(existing.timer);
+    }
+    const timer = setTimeout(() => entries.delete(key), ttlSeconds * 1000);
+    timer.unref?.();
+    entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000, timer });
+  }
+
+  function getEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (!live(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  return {
+    kind: 'in-memory',
+
+    async get(key) {
+      return getEntry(key);
+    },
+
+    async set(key, value, ttlSeconds) {
+      setEntry(key, value, ttlSeconds);
+    },
+
+    async del(key) {
+      const entry = entries.get(key);
+      if (entry && entry.timer) {
+        clearTimeout(entry.timer);
+      }
+      entries.delete(key);
+    },
+
+    async take(key) {
+      const value = getEntry(key);
+      await this.del(key);
+      return value;
+    },
+
+    async keys(pattern) {
+      const prefix = pattern.replace(/\*$/, '');
+      return [...entries.keys()].filter(key => key.startsWith(prefix) && live(entries.get(key)));
+    },
+
+    async addToGroup(groupKey, member, value, ttlSeconds) {
+      const members = getEntry(groupKey) || new Map();
+      members.set(member, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      // The group lives as long as its newest member
+      setEntry(groupKey, members, ttlSeconds);
+    },
+
+    async getGroup(groupKey) {
+      const members = getEntry(groupKey);
+      if (!members) return [];
+      return [...members.values()].filter(live).map(({ value }) => value);
+    },
+
+    async stats() {
+      return { type: 'in-memory', connected: true, entries: entries.size };
+    },
+
+    async close() {
+      for (const entry of entries.values()) {
+        clearTimeout(entry.timer);
+      }
+      entries.clear();
+    }
+  };
+}
+
+// Redis cache shared by every instance. Values are stored as JSON.
+// Commands fail fast while disconnected (no offline queue) and are treated as
+// cache misses, so a Redis outage slows checkout down instead of breaking it.
+export function createRedisCache({ url }) {
+  const redis = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: 2000,
+      reconnectStrategy: retries => Math.min(retries * 200, 5000)
+    }
+  });
+
+  let lastError = null;
+  redis.on('error', (error) => {
+    // Log once per outage rather than on every reconnect attempt
+    if (error.message !== lastError) {
+      console.error('Redis error:', error.message);
+      lastError = error.message;
+    }
+  });
+  redis.on('ready', () => {
+    lastError = null;
+    console.log('Redis cache connected');
+  });
+
+  async function attempt(operation, fallback, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      console.error(`Redis ${operation} failed:`, error.message);
+      return fallback;
+    }
+  }
+
+  async function scanKeys(pattern) {
+    const keys = [];
+    for await (const key of redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  return {
+    kind: 'redis',
+
+    // Resolves once connected; the client keeps retrying in the background
+    connect() {
+      return redis.connect();
+    },
+
+    get(key) {
+      return attempt('get', null, async () => {
+        const raw = await redis.get(key);
+        return raw === null ? null : JSON.parse(raw);
+      });
+    },
+
+    set(key, value, ttlSeconds) {
+      return attempt('set', undefined, () => redis.setEx(key, ttlSeconds, JSON.stringify(value)));
+    },
+
+    del(key) {
+      return attempt('del', undefined, () => redis.del(key));
+    },
+
+    // GETDEL is atomic, so two instances can't both take the same value
+    take(key) {
+      return attempt('getdel', null, async () => {
+        const raw = await redis.getDel(key);
+        return raw === null ? null : JSON.parse(raw);
+      });
+    },
+
+    keys(pattern) {
+      return attempt('scan', [], () => scanKeys(pattern));
+    },
+
+    // HSET + PEXPIRE in one transaction, so every instance sees the member as
+    // soon as the write returns
+    addToGroup(groupKey, member, value, ttlSeconds) {
+      const expiresAt = Date.now() + ttlSeconds * 1000;
+      return attempt('group add', undefined, () => redis.multi()
+        .hSet(groupKey, member, JSON.stringify({ value, expiresAt }))
+        .pExpire(groupKey, ttlSeconds * 1000)
+        .exec());
+    },
+
+    getGroup(groupKey) {
+      return attempt('group read', [], async () => {
+        const members = Object.values(await redis.hGetAll(groupKey)).map(raw => JSON.parse(raw));
+        const now = Date.now();
+        return members.filter(({ expiresAt }) => now <= expiresAt).map(({ value }) => value);
+      });
+    },
+
+    async stats() {
+      const connected = redis.isReady;
+      return {
+        type: 'redis',
+        connected,
+        entries: connected ? await attempt('dbsize', null, () => redis.dbSize()) : null,
+        memory_info: connected ? await attempt('info', null, () => redis.info('memory')) : null
+      };
+    },
+
+    // quit() waits for pending replies, which never come while disconnected
+    async close() {
+      if (redis.isReady) {
+        await redis.quit();
+      } else if (redis.isOpen) {
+        await redis.disconnect();
+      }
+    }
+  };
+}
+
+// Same interface with every key under a prefix (one namespace per shop).
+// keys() returns keys without the prefix so they can be passed back to del().
+export function namespaceCache(cache, prefix) {
+  return {
+    kind: cache.kind,
+    get: key => cache.get(prefix + key),
+    set: (key, value, ttlSeconds) => cache.set(prefix + key, value, ttlSeconds),
+    del: key => cache.del(prefix + key),
+    take: key => cache.take(prefix + key),
+    keys: async pattern => (await cache.keys(prefix + pattern)).map(key => key.slice(prefix.length)),
+    addToGroup: (groupKey, member, value, ttlSeconds) => cache.addToGroup(prefix + groupKey, member, value, ttlSeconds),
+    getGroup: groupKey => cache.getGroup(prefix + groupKey),
+    stats: () => cache.stats()
+  };
+}
+
+// Redis when REDIS_URL is set, otherwise the in-memory cache
+export function createCache({ redisUrl } = {}) {
+  return redisUrl ? createRedisCache({ url: redisUrl }) : createMemoryCache();
+}
@@ -0,0 +1,82 @@
+// Circuit breaker for an unreliable dependency (Batchy).
+// closed    - calls go through; consecutive failures are counted
+// open      - calls fail fast with CircuitOpenError until resetTimeoutMs passes
+// half_open - one trial call is let through; success closes, failure re-opens
+export class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`${name} circuit is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  let lastFailureAt = null;
+
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+      state = 'half_open';
+    }
+    return state;
+  }
+
+  function open(error) {
+    state = 'open';
+    openedAt = now();
+    console.warn(`${name} circuit opened after ${failures} failure(s): ${error.message}`);
+  }
+
+  async function exec(fn) {
+    const current = currentState();
+    if (current === 'open' || (current === 'half_open' && trialInFlight)) {
+      throw new CircuitOpenError(name);
+    }
+
+    const isTrial = current === 'half_open';
+    if (isTrial) trialInFlight = true;
+
+    try {
+      const result = await fn();
+      if (state !== 'closed') {
+        console.log(`${name} circuit closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      return result;
+    } catch (error) {
+      failures++;
+      lastError = error.message;
+      lastFailureAt = now();
+      if (isTrial || failures >= failureThreshold) {
+        open(error);
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  function isOpen() {
+    return currentState() === 'open';
+  }
+
+  function snapshot() {
+    const current = currentState();
+    return {
+      state: current,
+      failures,
+      failure_threshold: failureThreshold,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      retry_at: current === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      last_error: lastError,
+      last_failure_at: lastFailureAt ? new Date(lastFailureAt).toISOString() : null
+    };
+  }
+
+  return { exec, isOpen, snapshot };
+}
@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Durable, versioned storage for appConfig.
+// Every save appends a numbered version to a JSON history file so a restart
+// or redeploy picks up the last saved config instead of the hard-coded defaults,
+// and any earlier version can be diffed against or rolled back to.
+export function createConfigStore({ dir, fileName = 'config-history.json', maxVersions = 200 }) {
+  const filePath = path.join(dir, fileName);
+  let history = null;
+  // Serialize writes so two concurrent saves can't both claim the same version number
+  let writeQueue = Promise.resolve();
+
+  async function readHistory() {
+    if (history) return history;
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      history = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      history = { versions: [] };
+    }
+    return history;
+  }
+
+  async function writeHistory() {
+    await fs.mkdir(dir, { recursive: true });
+    // Write to a temp file and rename so a crash mid-write can't corrupt the history
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(history, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function summarize(entry) {
+    return {
+      version: entry.version,
+      savedAt: entry.savedAt,
+      source: entry.source,
+      note: entry.note || null,
+      rolledBackFrom: entry.rolledBackFrom || null
+    };
+  }
+
+  // Latest saved config, or null if nothing has been saved yet
+  async function load() {
+    const { versions } = await readHistory();
+    if (versions.length === 0) return null;
+    return clone(versions[versions.length - 1].config);
+  }
+
+  function save(config, { source = 'admin', note, rolledBackFrom } = {}) {
+    const run = writeQueue.then(async () => {
+      const data = await readHistory();
+      const last = data.versions[data.versions.length - 1];
+      const entry = {
+        version: last ? last.version + 1 : 1,
+        savedAt: new Date().toISOString(),
+        source,
+        note,
+        rolledBackFrom,
+        config: clone(config)
+      };
+      data.versions.push(entry);
+      if (data.versions.length > maxVersions) {
+        data.versions.splice(0, data.versions.length - maxVersions);
+      }
+      await writeHistory();
+      return summarize(entry);
+    });
+    // Keep the queue alive even if this write fails
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function list() {
+    const { versions } = await readHistory();
+    return versions.map(summarize).reverse();
+  }
+
+  async function get(version) {
+    const { versions } = await readHistory();
+    const entry = versions.find(v => v.version === Number(version));
+    return entry ? { ...summarize(entry), config: clone(entry.config) } : null;
+  }
+
+  async function currentVersion() {
+    const { versions } = await readHistory();
+    return versions.length ? versions[versions.length - 1].version : null;
+  }
+
+  // Rolling back never rewrites history: the old config is saved as a new version
+  async function rollback(version, { source = 'admin' } = {}) {
+    const entry = await get(version);
+    if (!entry) return null;
+    const saved = await save(entry.config, { source, rolledBackFrom: entry.version });
+    return { ...saved, config: entry.config };
+  }
+
+  return { load, save, list, get, currentVersion, rollback, filePath };
+}
+
+// Flat list of changed paths between two config objects
+export function diffConfigs(from, to, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+
+  for (const key of [...keys].sort()) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const a = from ? from[key] : undefined;
+    const b = to ? to[key] : undefined;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffConfigs(a, b, keyPath));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path: keyPath, from: a === undefined ? null : a, to: b === undefined ? null : b });
+    }
+  }
+
+  return changes;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,127 @@
+import { validateRules, normalizeRules } from './rules.js';
+import { sortTiers, validateWeightTiers } from './weight-tiers.js';
+import { validateZones, normalizeZones, validateInternational, normalizeInternational } from './zones.js';
+import { validateExchangeRates, validateCurrencyOverrides, isCurrencyCode } from './currency.js';
+import { validateDeadlineSettings } from './deadline.js';
+import { validateCrossLocationSettings } from './cross-location.js';
+import { validateQuoteLogSettings } from './quote-log.js';
+import { validateStatusProviders, normalizeStatusProviders } from './status-providers.js';
+import { validateSchedule, normalizeSchedule } from './schedule.js';
+import { validatePromotions, validatePromotionSettings, normalizePromotions } from './promotions.js';
+import { validateDeliverySettings } from './delivery.js';
+import { validateServiceLevels, normalizeServiceLevels } from './service-levels.js';
+import { validateEligibility, normalizeEligibility } from './eligibility.js';
+
+// Partial config updates as sent to POST /config (and proposed to replay):
+// only the sections present are checked and changed. Sections that are objects
+// (labels, promotion, deadline, ...) are merged into the current values.
+
+function validateCents(key) {
+  return value => (Number.isInteger(value) && value >= 0 ? null : `${key} must be a non-negative whole number of cents`);
+}
+
+function validateStrings(key) {
+  return value => (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(text => typeof text === 'string')
+    ? null
+    : `${key} must be an object of strings`);
+}
+
+const CHECKS = [
+  ['threshold', validateCents('threshold'), 'Invalid threshold'],
+  ['feeUnderThreshold', validateCents('feeUnderThreshold'), 'Invalid fee'],
+  ['killSwitch', value => typeof value === 'boolean' ? null : 'killSwitch must be true or false', 'Invalid kill switch'],
+  ['labels', validateStrings('labels'), 'Invalid labels'],
+  ['descriptions', validateStrings('descriptions'), 'Invalid descriptions'],
+  ['rules', validateRules, 'Invalid rules'],
+  ['zones', validateZones, 'Invalid zones'],
+  ['international', validateInternational, 'Invalid international settings'],
+  ['currency', value => isCurrencyCode(value) ? null : 'currency must be a 3-letter ISO code such as USD', 'Invalid currency'],
+  ['exchangeRates', validateExchangeRates, 'Invalid exchange rates'],
+  ['currencies', validateCurrencyOverrides, 'Invalid currency overrides'],
+  ['deadline', validateDeadlineSettings, 'Invalid deadline settings'],
+  ['crossLocation', validateCrossLocationSettings, 'Invalid cross-location settings'],
+  ['quoteLog', validateQuoteLogSettings, 'Invalid quote log settings'],
+  ['statusProviders', validateStatusProviders, 'Invalid status providers'],
+  ['weightTiers', validateWeightTiers, 'Invalid weight tiers'],
+  ['schedule', validateSchedule, 'Invalid schedule'],
+  ['promotion', validatePromotionSettings, 'Invalid promotion settings'],
+  ['promotions', validatePromotions, 'Invalid promotions'],
+  ['delivery', validateDeliverySettings, 'Invalid delivery settings'],
+  ['serviceLevels', validateServiceLevels, 'Invalid service levels'],
+  ['eligibility', validateEligibility, 'Invalid eligibility policy']
+];
+
+// { error, details } for the first invalid section, or null. config is the
+// current config, for checks that depend on the rest of the config once the
+// update is applied (a schedule window can only target a promotion that
+// exists, service codes are unique across both buckets).
+export function validateConfigUpdate(update, config = {}) {
+  const next = {
+    ...config,
+    ...update,
+    serviceLevels: { ...config.serviceLevels, ...update.serviceLevels },
+    delivery: {
+      ...config.delivery,
+      ...update.delivery,
+      rts: { ...config.delivery?.rts, ...update.delivery?.rts },
+      po: { ...config.delivery?.po, ...update.delivery?.po }
+    }
+  };
+  for (const [key, validate, error] of CHECKS) {
+    if (update[key] === undefined) continue;
+    const details = validate(update[key], next);
+    if (details) {
+      return { error, details };
+    }
+  }
+  return null;
+}
+
+// Applies a validated update to config in place. POST /config applies it to a
+// copy, so the live config only changes once the new version is saved.
+export function applyConfigUpdate(config, update) {
+  const {
+    threshold, feeUnderThreshold, labels, descriptions, promotion, killSwitch, statusProviders, rules,
+    weightTiers, zones, international, currency, exchangeRates, currencies, deadline, crossLocation, quoteLog, schedule,
+    promotions, delivery, serviceLevels, eligibility
+  } = update;
+
+  if (threshold !== undefined) config.threshold = threshold;
+  if (feeUnderThreshold !== undefined) config.feeUnderThreshold = feeUnderThreshold;
+  if (labels) config.labels = { ...config.labels, ...labels };
+  if (descriptions) config.descriptions = { ...config.descriptions, ...descriptions };
+  if (promotion) config.promotion = { ...config.promotion, ...promotion };
+  if (promotions !== undefined) config.promotions = normalizePromotions(promotions);
+  if (eligibility !== undefined) config.eligibility = normalizeEligibility(eligibility);
+  if (killSwitch !== undefined) config.killSwitch = killSwitch;
+  if (schedule !== undefined) config.schedule = normalizeSchedule(schedule);
+  if (statusProviders !== undefined) config.statusProviders = normalizeStatusProviders(statusProviders);
+  if (rules !== undefined) config.rules = normalizeRules(rules);
+  if (zones !== undefined) config.zones = normalizeZones(zones);
+  if (currency !== undefined) config.currency = currency;
+  if (deadline !== undefined) config.deadline = { ...config.deadline, ...deadline };
+  if (crossLocation !== undefined) config.crossLocation = { ...config.crossLocation, ...crossLocation };
+  if (quoteLog !== undefined) config.quoteLog = { ...config.quoteLog, ...quoteLog };
+  if (delivery !== undefined) {
+    config.delivery = {
+      ...config.delivery,
+      ...delivery,
+      rts: { ...config.delivery?.rts, ...delivery.rts },
+      po: { ...config.delivery?.po, ...delivery.po }
+    };
+  }
+  if (exchangeRates !== undefined) config.exchangeRates = exchangeRates;
+  if (currencies !== undefined) config.currencies = currencies;
+  if (international !== undefined) {
+    config.international = normalizeInternational({ ...config.international, ...international });
+  }
+  if (serviceLevels !== undefined) {
+    config.serviceLevels = { ...config.serviceLevels, ...normalizeServiceLevels(serviceLevels) };
+  }
+  if (weightTiers !== undefined) {
+    for (const [bucket, tiers] of Object.entries(weightTiers)) {
+      config.weightTiers[bucket] = sortTiers(tiers);
+    }
+  }
+  return config;
+}
@@ -0,0 +1,140 @@
+// Cross-location aggregation. When Shopify splits a checkout across fulfillment
+// locations it calls /rates once per delivery group, each with only its own
+// items. Groups for the same checkout are combined so the free shipping
+// threshold and weight tiers see the whole order.
+//
+//   destination key - hash of the full normalized destination plus currency and
+//                     locale, so neighbours in one building don't pool subtotals
+//   origin key      - hash of the group's origin location. The pool holds one
+//                     group per location, so together they form the cart: a
+//                     re-quote after the cart changes replaces that location's
+//                     group instead of adding to it
+//   group signature - hash of the group's origin and items, reported in traces
+//
+// The window closes early once the expected groups have arrived: the configured
+// crossLocation.locations, or else the number of distinct origin locations this
+// shop has quoted from recently (one means there is nothing to wait for).
+import crypto from 'crypto';
+
+const DESTINATION_FIELDS = [
+  'country', 'province', 'postal_code', 'city', 'address1', 'address2', 'address3',
+  'company_name', 'name', 'phone', 'email'
+];
+
+// How long a delivery group stays in the pool
+export const GROUP_TTL_SECONDS = 30;
+// How long an origin location counts toward the expected groups after its last quote
+export const ORIGIN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ORIGINS_KEY = 'ship:origins';
+
+function normalize(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function hash(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+}
+
+export function destinationKey(rate) {
+  const dest = rate.destination || {};
+  const parts = DESTINATION_FIELDS.map(field => normalize(field === 'postal_code' ? dest.postal_code ?? dest.zip : dest[field]));
+  return `ship:order:${hash([...parts, normalize(rate.currency), normalize(rate.locale)])}`;
+}
+
+export function originKey(rate) {
+  const origin = rate.origin || {};
+  return hash(['country', 'province', 'postal_code', 'city', 'address1'].map(field => normalize(origin[field])));
+}
+
+export function groupSignature(rate) {
+  const origin = rate.origin || {};
+  const items = (rate.items || [])
+    .map(item => [String(item.variant_id ?? item.sku ?? item.name), item.quantity, item.price])
+    .sort((a, b) => String(a).localeCompare(String(b)));
+  return hash([normalize(origin.country), normalize(origin.postal_code), normalize(origin.address1), items]);
+}
+
+// Add this delivery group to the pool and wait (at most windowMs) for the rest.
+// totals = { rts: { subtotal, grams }, po: { subtotal, grams } } for this group.
+// Returns the combined totals and a trace of what was combined and why the wait ended.
+export async function aggregateDeliveryGroups(cache, rate, totals, { windowMs, pollMs = 50, locations = null }) {
+  const key = destinationKey(rate);
+  const origin = originKey(rate);
+  const signature = groupSignature(rate);
+  const startedAt = Date.now();
+
+  const trace = {
+    key,
+    signature,
+    expected: null,
+    expected_source: null,
+    waited_ms: 0,
+    resolved_by: null,
+    groups: []
+  };
+
+  if (locations === 1) {
+    trace.resolved_by = 'single-location';
+    trace.groups = [{ signature, ...totals }];
+    return { combined: totals, trace };
+  }
+
+  await cache.addToGroup(key, origin, { origin, signature, ...totals, arrivedAt: startedAt }, GROUP_TTL_SECONDS);
+
+  if (locations != null) {
+    trace.expected = locations;
+    trace.expected_source = 'config';
+  } else {
+    await cache.addToGroup(ORIGINS_KEY, origin, { origin, seenAt: startedAt }, ORIGIN_TTL_SECONDS);
+    trace.expected = (await cache.getGroup(ORIGINS_KEY)).length;
+    trace.expected_source = 'origins';
+  }
+
+  let groups = await cache.getGroup(key);
+  while (groups.length < trace.expected && Date.now() - startedAt + pollMs <= windowMs) {
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+    groups = await cache.getGroup(key);
+  }
+
+  trace.waited_ms = Date.now() - startedAt;
+  trace.resolved_by = groups.length >= trace.expected
+    ? (trace.expected === 1 ? 'single-location' : 'expected')
+    : 'window';
+  trace.groups = groups.map(({ signature: groupSig, rts, po, arrivedAt }) => ({ signature: groupSig, rts, po, arrived_at: arrivedAt }));
+
+  // Our own group may have expired (or been replaced by a newer quote) during a long wait
+  if (!groups.some(group => group.signature === signature)) {
+    groups = [...groups.filter(group => group.origin !== origin), { origin, signature, ...totals }];
+  }
+
+  return { combined: combineTotals(groups), trace };
+}
+
+export function combineTotals(groups) {
+  const combined = { rts: { subtotal: 0, grams: 0 }, po: { subtotal: 0, grams: 0 } };
+  for (const group of groups) {
+    for (const bucket of ['rts', 'po']) {
+      combined[bucket].subtotal += group[bucket]?.subtotal || 0;
+      combined[bucket].grams += group[bucket]?.grams || 0;
+    }
+  }
+  return combined;
+}
+
+// Returns an error message, or null when the cross-location settings are valid
+export function validateCrossLocationSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'crossLocation must be an object';
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    return 'crossLocation.enabled must be true or false';
+  }
+  if (settings.windowMs !== undefined && !(Number.isInteger(settings.windowMs) && settings.windowMs >= 0)) {
+    return 'crossLocation.windowMs must be a non-negative number of milliseconds';
+  }
+  if (settings.locations !== undefined && settings.locations !== null &&
+      !(Number.isInteger(settings.locations) && settings.locations >= 1)) {
+    return 'crossLocation.locations must be a positive whole number, or null to count origin locations from recent quotes';
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+// Multi-currency pricing driven by rate.currency.
+// Every amount in appConfig (threshold, fees, rule amounts, weight tiers, zones)
+// is in the base currency, appConfig.currency. For a request in another currency:
+//   - appConfig.currencies[CODE] can pin the default threshold / fee / promo rate
+//     to exact local amounts (e.g. "free over CA$70" rather than a converted $50)
+//   - everything else is converted with appConfig.exchangeRates[CODE]
+//     (units of CODE per 1 unit of the base currency, maintained locally)
+//
+// Amounts are in each currency's minor units ("cents"): cents for USD, whole
+// yen for JPY, fils for KWD. Conversion accounts for the difference.
+//
+// appConfig.exchangeRates = { CAD: 1.36, EUR: 0.92, JPY: 150 }
+// appConfig.currencies = { CAD: { threshold: 7000, feeUnderThreshold: 700, promoFlatRate: 995 } }
+
+export const OVERRIDE_KEYS = ['threshold', 'feeUnderThreshold', 'promoFlatRate'];
+
+// Decimal places of a currency's minor unit (2 for USD, 0 for JPY, 3 for KWD)
+export function minorUnits(code) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+export function createCurrencyContext(config, requestCurrency) {
+  const base = (config.currency || 'USD').toUpperCase();
+  const currency = (requestCurrency || base).toUpperCase();
+  const isBase = currency === base;
+  const overrides = isBase ? {} : (config.currencies?.[currency] || {});
+  const exchangeRate = isBase ? 1 : config.exchangeRates?.[currency];
+
+  // Without a rate, amounts pass through unconverted (the pre-multi-currency behavior)
+  const factor = exchangeRate == null ? 1 : exchangeRate * 10 ** (minorUnits(currency) - minorUnits(base));
+
+  function convert(cents) {
+    return cents == null ? cents : Math.round(cents * factor);
+  }
+
+  return {
+    base,
+    currency,
+    exchangeRate: exchangeRate ?? 1,
+    supported: isBase || exchangeRate != null,
+    convert,
+    // Request-currency amount back to the base currency (for base-currency rule conditions)
+    toBase(cents) {
+      return Math.round(cents / factor);
+    },
+    // Default amount for this currency: pinned override, else converted base amount
+    amount(key, baseCents) {
+      return overrides[key] ?? convert(baseCents);
+    }
+  };
+}
+
+// Threshold / fee for a pricing profile in the request currency. Amounts set on
+// a zone or country table are converted; the defaults use the per-currency
+// override when one is configured.
+export function localizeProfile(profile, source, money) {
+  return {
+    ...profile,
+    threshold: source?.threshold != null
+      ? money.convert(profile.threshold)
+      : money.amount('threshold', profile.threshold),
+    feeUnderThreshold: source?.feeUnderThreshold != null
+      ? money.convert(profile.feeUnderThreshold)
+      : money.amount('feeUnderThreshold', profile.feeUnderThreshold)
+  };
+}
+
+// Returns an error message, or null when the exchange rates are valid
+export function validateExchangeRates(exchangeRates) {
+  if (!exchangeRates || typeof exchangeRates !== 'object' || Array.isArray(exchangeRates)) {
+    return 'exchangeRates must be an object keyed by currency code';
+  }
+  for (const [code, rate] of Object.entries(exchangeRates)) {
+    if (!isCurrencyCode(code)) return `exchangeRates has an invalid currency code: ${code}`;
+    if (!(typeof rate === 'number' && Number.isFinite(rate) && rate > 0)) {
+      return `exchangeRates.${code} must be a positive number`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message, or null when the per-currency overrides are valid
+export function validateCurrencyOverrides(currencies) {
+  if (!currencies || typeof currencies !== 'object' || Array.isArray(currencies)) {
+    return 'currencies must be an object keyed by currency code';
+  }
+  for (const [code, amounts] of Object.entries(currencies)) {
+    if (!isCurrencyCode(code)) return `currencies has an invalid currency code: ${code}`;
+    if (!amounts || typeof amounts !== 'object') return `currencies.${code} must be an object`;
+    for (const [key, value] of Object.entries(amounts)) {
+      if (!OVERRIDE_KEYS.includes(key)) return `currencies.${code}.${key} is not supported (${OVERRIDE_KEYS.join(', ')})`;
+      if (value != null && !(typeof value === 'number' && value >= 0)) {
+        return `currencies.${code}.${key} must be a non-negative number of cents`;
+      }
+    }
+  }
+  return null;
+}
+
+export function isCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code);
+}
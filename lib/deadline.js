@@ -0,0 +1,58 @@
+// Response budget for /rates. Shopify stops waiting for a carrier callback
+// after a few seconds and then shows no shipping options at all, so the handler
+// races its work against this deadline and falls back to configured rates.
+export function createDeadline(budgetMs) {
+  const startedAt = Date.now();
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(resolve, budgetMs);
+  });
+
+  return {
+    budgetMs,
+    elapsed() {
+      return Date.now() - startedAt;
+    },
+    remaining() {
+      return Math.max(0, budgetMs - (Date.now() - startedAt));
+    },
+    // { timedOut: false, value } if the work finishes in time, else { timedOut: true }
+    race(work) {
+      return Promise.race([
+        work.then(value => ({ timedOut: false, value })),
+        expired.then(() => ({ timedOut: true }))
+      ]);
+    },
+    clear() {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// Returns an error message, or null when the deadline settings are valid
+export function validateDeadlineSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'deadline must be an object';
+  }
+
+  for (const key of ['budgetMs', 'shopifyTimeoutMs', 'batchyTimeoutMs']) {
+    if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+      return `deadline.${key} must be a positive number of milliseconds`;
+    }
+  }
+
+  if (settings.fallbackRates !== undefined) {
+    if (!Array.isArray(settings.fallbackRates)) return 'deadline.fallbackRates must be an array';
+    for (const [index, fallback] of settings.fallbackRates.entries()) {
+      const label = `deadline.fallbackRates[${index}]`;
+      if (!fallback?.service_name || !fallback?.service_code) {
+        return `${label} needs a service_name and service_code`;
+      }
+      if (!(typeof fallback.total_price === 'number' && fallback.total_price >= 0)) {
+        return `${label}.total_price must be a non-negative number of cents`;
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,103 @@
+// Default app configuration. Saved versions from the config store override these on startup.
+export const defaultConfig = {
+  threshold: 5000, // $50 in cents
+  feeUnderThreshold: 500, // $5 in cents
+  labels: {
+    rts: "Ships Now (In-Stock)",
+    po: "Ships Later (Pre-Order)",
+    promo: "Mystery Box Shipping"
+  },
+  descriptions: {
+    rts: "Ready to ship",
+    po: "Free over $50",
+    promo: "Flat rate per order"
+  },
+  promotion: {
+    enabled: false,
+    flatRate: 695, // $6.95 in cents
+    tag: "mysterybox",
+    mode: "override" // or "alongside" / "fold" (see lib/promotions.js)
+  },
+  // Named promotions (see lib/promotions.js). While empty, the built-in Mystery
+  // Box promotion above is used. promotion.enabled still switches them all.
+  promotions: [],
+  // Which items are split and counted toward thresholds (see lib/eligibility.js).
+  // Gift cards and items that don't ship are left out by default.
+  eligibility: [
+    { id: "gift-cards", name: "Gift cards", description: "Gift cards ship free", enabled: true,
+      classify: false, countTowardThreshold: false, match: { productTypes: ["Gift Card"], titlePattern: "gift card" } },
+    { id: "non-shipping", name: "Items that don't ship", description: "Nothing in this order needs shipping", enabled: true,
+      classify: false, countTowardThreshold: false, match: { requiresShipping: false } }
+  ],
+  killSwitch: false, // Turn on during promos
+  // Kill-switch, promotion and threshold windows applied at request time (see lib/schedule.js)
+  schedule: [],
+  currency: "USD",
+  // Where pre-order statuses come from (see lib/status-providers.js), tried in
+  // order until one knows the variant
+  statusProviders: [
+    { type: "batchy" },
+    { type: "metafield", namespace: "preproduct", key: "is_preorder" }
+  ],
+  // Ordered shipping rules (see lib/rules.js). First match wins per bucket;
+  // threshold / feeUnderThreshold apply when nothing matches.
+  rules: [],
+  // Weight-based fees per bucket (see lib/weight-tiers.js). Empty = flat feeUnderThreshold.
+  weightTiers: {
+    rts: [],
+    po: []
+  },
+  // Destination zones (see lib/zones.js) with their own threshold, fee and labels
+  zones: [],
+  // Opt-in international RTS/PO splitting with per-country rate tables
+  international: {
+    enabled: false,
+    tables: []
+  },
+  // Multi-currency (see lib/currency.js). Amounts above are in `currency`;
+  // requests in other currencies are converted or use pinned local amounts.
+  exchangeRates: {},
+  currencies: {},
+  // Combining delivery groups when Shopify splits a checkout across locations.
+  // windowMs is the longest wait for the other groups; locations is how many
+  // fulfillment locations ship orders (1 skips the wait, null = unknown).
+  crossLocation: {
+    enabled: true,
+    windowMs: 750,
+    locations: null
+  },
+  // Audit log of /rates quotes (see lib/quote-log.js), queried at /quotes
+  quoteLog: {
+    enabled: true,
+    retentionDays: 7,
+    maxEntries: 5000
+  },
+  // Response budget for /rates and per-dependency timeouts. When the budget runs
+  // out (or the calculation fails) the fallback rates are returned instead.
+  deadline: {
+    budgetMs: 5000,
+    shopifyTimeoutMs: 2000,
+    batchyTimeoutMs: 2000,
+    fallbackRates: [{
+      service_name: "Standard Shipping",
+      service_code: "FALLBACK_STD",
+      total_price: 500, // cents, base currency
+      description: "Ships in 3-7 business days"
+    }]
+  },
+  // Expedited / overnight options next to the standard rates (see lib/service-levels.js)
+  serviceLevels: {
+    rts: [],
+    po: []
+  },
+  // Delivery date estimates on RTS / PO rates (see lib/delivery.js)
+  delivery: {
+    enabled: false,
+    timezone: "America/New_York",
+    businessDays: [1, 2, 3, 4, 5], // Monday-Friday
+    holidays: [],
+    cutoff: "14:00",
+    rts: { handlingDays: 1, minTransitDays: 2, maxTransitDays: 5 },
+    po: { handlingDays: 0, minTransitDays: 2, maxTransitDays: 5 }
+  }
+};
@@ -0,0 +1,165 @@
+import { isTimeZone, parseWindowTime } from './schedule.js';
+
+// Delivery date estimates, sent to Shopify as min_delivery_date /
+// max_delivery_date on the RTS and PO rates.
+//
+// appConfig.delivery = {
+//   enabled: true,
+//   timezone: "America/New_York",   // the warehouse's calendar
+//   businessDays: [1, 2, 3, 4, 5],  // days parcels ship and arrive (0 = Sunday)
+//   holidays: ["2026-12-25"],       // never a business day
+//   cutoff: "14:00",                // later orders count from the next business day
+//   rts: { handlingDays: 1, minTransitDays: 2, maxTransitDays: 5 },
+//   po: { handlingDays: 0, minTransitDays: 2, maxTransitDays: 5 }
+// }
+//
+// Ready-to-ship items leave handlingDays business days after the order.
+// Pre-order items leave handlingDays after the ship date their status provider
+// reports - the latest one when the bucket has several. If any pre-order
+// variant has no ship date, the PO rate gets no dates rather than a guess.
+// Transit days count business days after the ship day.
+
+export const BUCKETS = ['rts', 'po'];
+
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 365;
+
+function isDate(value) {
+  const match = DATE.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+// YYYY-MM-DD from a provider's ship date ("2026-12-05" or an ISO timestamp), or null
+export function parseShipDate(value) {
+  if (typeof value !== 'string') return null;
+  const date = value.trim().slice(0, 10);
+  return isDate(date) ? date : null;
+}
+
+// Date and time of day at `now` in the warehouse time zone
+function localNow(now, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit'
+  }).formatToParts(new Date(now)).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function nextDay(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+}
+
+function isBusinessDay(date, settings) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return settings.businessDays.includes(weekday) && !settings.holidays.includes(date);
+}
+
+// The first business day on or after date
+function businessDayFrom(date, settings) {
+  let day = date;
+  for (let guard = 0; !isBusinessDay(day, settings) && guard < MAX_DAYS; guard++) {
+    day = nextDay(day);
+  }
+  return day;
+}
+
+// `days` business days after date (date itself when days is 0 and it is a business day)
+export function addBusinessDays(date, days, settings) {
+  let day = businessDayFrom(date, settings);
+  for (let added = 0; added < days; added++) {
+    day = businessDayFrom(nextDay(day), settings);
+  }
+  return day;
+}
+
+// The first day an order placed at `now` can be handled
+function firstWorkingDay(settings, now) {
+  const { date, time } = localNow(now, settings.timezone);
+  const late = settings.cutoff && time >= settings.cutoff;
+  return businessDayFrom(late ? nextDay(date) : date, settings);
+}
+
+// Shopify's delivery date format, at midnight in the warehouse time zone
+export function formatDeliveryDate(date, timeZone) {
+  const offsetMinutes = Math.round((Date.parse(`${date}T00:00:00Z`) - parseWindowTime(`${date}T00:00`, timeZone)) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+  return `${date} 00:00:00 ${sign}${hours}${minutes}`;
+}
+
+// { ships_on, min, max } (YYYY-MM-DD) for a bucket, or { reason } when it
+// can't be estimated. shipDates are the pre-order ship dates in the bucket
+// (null for a variant without one).
+export function estimateDelivery(settings, bucket, { now = Date.now(), shipDates = [] } = {}) {
+  const transit = settings[bucket];
+  let start = firstWorkingDay(settings, now);
+
+  if (bucket === 'po') {
+    if (shipDates.length === 0 || shipDates.some(date => !date)) {
+      return { reason: 'A pre-order variant has no ship date' };
+    }
+    const latest = shipDates.reduce((a, b) => (a > b ? a : b));
+    if (latest > start) start = businessDayFrom(latest, settings);
+  }
+
+  const shipsOn = addBusinessDays(start, transit.handlingDays, settings);
+  return {
+    ships_on: shipsOn,
+    min: addBusinessDays(shipsOn, transit.minTransitDays, settings),
+    max: addBusinessDays(shipsOn, transit.maxTransitDays, settings)
+  };
+}
+
+// Shopify rate fields for an estimate
+export function deliveryFields(estimate, timeZone) {
+  return {
+    min_delivery_date: formatDeliveryDate(estimate.min, timeZone),
+    max_delivery_date: formatDeliveryDate(estimate.max, timeZone)
+  };
+}
+
+function isDayCount(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_DAYS;
+}
+
+// Returns an error message, or null when the (partial) settings are valid
+export function validateDeliverySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'delivery must be an object';
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') return 'delivery.enabled must be true or false';
+  if (settings.timezone !== undefined && !isTimeZone(settings.timezone)) {
+    return 'delivery.timezone must be an IANA time zone such as America/New_York';
+  }
+  if (settings.businessDays !== undefined) {
+    const days = settings.businessDays;
+    if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'delivery.businessDays must list weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  if (settings.holidays !== undefined && !(Array.isArray(settings.holidays) && settings.holidays.every(isDate))) {
+    return 'delivery.holidays must be a list of YYYY-MM-DD dates';
+  }
+  if (settings.cutoff !== undefined && settings.cutoff !== null && !TIME.test(settings.cutoff)) {
+    return 'delivery.cutoff must be a time such as 14:00, or null';
+  }
+  for (const bucket of BUCKETS) {
+    const transit = settings[bucket];
+    if (transit === undefined) continue;
+    if (!transit || typeof transit !== 'object') return `delivery.${bucket} must be an object`;
+    for (const key of ['handlingDays', 'minTransitDays', 'maxTransitDays']) {
+      if (transit[key] !== undefined && !isDayCount(transit[key])) {
+        return `delivery.${bucket}.${key} must be a whole number of days from 0 to ${MAX_DAYS}`;
+      }
+    }
+    if (transit.minTransitDays > transit.maxTransitDays) {
+      return `delivery.${bucket}.minTransitDays can't be more than maxTransitDays`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,162 @@
+// Eligibility policy: which cart items are split into the RTS / PO buckets (and
+// looked up for a pre-order status) and which count toward free-shipping
+// thresholds and subtotal rules.
+//
+// appConfig.eligibility is an ordered list; the first entry matching an item
+// decides, and items matching none are classified and counted as usual:
+//
+//   [{ id: "gift-cards", name: "Gift cards", classify: false, description: "Gift cards ship free",
+//      match: { productTypes: ["Gift Card"], titlePattern: "gift card" } },
+//    { id: "samples", name: "Free samples", classify: true, countTowardThreshold: false,
+//      match: { tags: ["sample"] } }]
+//
+//   classify: false (default)  - the item is left out of the split entirely
+//   countTowardThreshold: false - the item ships in its bucket (item count and
+//                                weight included) but adds nothing to the
+//                                subtotal thresholds and rules see
+//
+// An entry matches an item on any of:
+//   productTypes     - item product type
+//   requiresShipping - the item's requires_shipping flag (true / false)
+//   titlePattern     - regular expression (case-insensitive) tested on the item title
+//   tags             - product tags (whole tag, any case)
+//
+// A cart with nothing left to classify gets a single free GIFT_CARD_FREE rate,
+// described by the entry its items matched (or a generic description when they
+// matched different entries).
+
+export const NOTHING_TO_SHIP_DESCRIPTION = 'Nothing in this order needs shipping';
+
+const MATCHERS = [
+  ['productTypes', 'product type'],
+  ['requiresShipping', 'requires shipping'],
+  ['titlePattern', 'title'],
+  ['tags', 'tag']
+];
+const MAX_PATTERN_LENGTH = 200;
+
+function lower(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function isConfigured(match, key) {
+  if (key === 'requiresShipping') return typeof match.requiresShipping === 'boolean';
+  if (key === 'titlePattern') return Boolean(match.titlePattern);
+  return match[key]?.length > 0;
+}
+
+// Whether any entry needs product tags (so they're only looked up when used)
+export function eligibilityUsesTags(policy) {
+  return (policy || []).some(entry => entry.match?.tags?.length > 0);
+}
+
+// How an item matches one entry ('product type', 'tag', ...), or null.
+// tags are the product's lowercased tags.
+export function matchEligibility(entry, item, tags = []) {
+  const match = entry.match || {};
+  const checks = {
+    productTypes: () => match.productTypes.map(lower).includes(lower(item.product_type)),
+    requiresShipping: () => (item.requires_shipping !== false) === match.requiresShipping,
+    titlePattern: () => new RegExp(match.titlePattern, 'i').test(item.title || item.name || ''),
+    tags: () => match.tags.map(lower).some(tag => tags.includes(tag))
+  };
+
+  for (const [key, label] of MATCHERS) {
+    if (isConfigured(match, key) && checks[key]()) return label;
+  }
+  return null;
+}
+
+// { item, entry, matchedBy, classify, countTowardThreshold } per item.
+// tagsByProduct maps product ID → lowercased tags.
+export function classifyItems(policy, items, tagsByProduct = new Map()) {
+  return items.map(item => {
+    const tags = tagsByProduct.get(item.product_id) || [];
+    for (const entry of policy || []) {
+      if (entry.enabled === false) continue;
+      const matchedBy = matchEligibility(entry, item, tags);
+      if (matchedBy) {
+        const classify = entry.classify === true;
+        return { item, entry, matchedBy, classify, countTowardThreshold: classify && entry.countTowardThreshold !== false };
+      }
+    }
+    return { item, entry: null, matchedBy: null, classify: true, countTowardThreshold: true };
+  });
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+}
+
+function slug(value) {
+  return lower(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Returns an error message, or null when the policy is valid
+export function validateEligibility(policy) {
+  if (!Array.isArray(policy)) return 'eligibility must be an array';
+
+  const ids = new Set();
+  for (const [index, entry] of policy.entries()) {
+    const label = `eligibility[${index}]`;
+    if (!entry || typeof entry !== 'object') return `${label} must be an object`;
+    if (!entry.id && !entry.name) return `${label} needs an id or name`;
+    const id = entry.id || slug(entry.name);
+    if (ids.has(id)) return `${label} has duplicate id "${id}"`;
+    ids.add(id);
+
+    const match = entry.match;
+    if (!match || typeof match !== 'object' || Array.isArray(match)) return `${label}.match must be an object`;
+    for (const key of ['productTypes', 'tags']) {
+      if (match[key] !== undefined && !isStringList(match[key])) return `${label}.match.${key} must be a list of strings`;
+    }
+    if (match.requiresShipping !== undefined && typeof match.requiresShipping !== 'boolean') {
+      return `${label}.match.requiresShipping must be true or false`;
+    }
+    if (match.titlePattern !== undefined) {
+      if (typeof match.titlePattern !== 'string' || !match.titlePattern || match.titlePattern.length > MAX_PATTERN_LENGTH) {
+        return `${label}.match.titlePattern must be a regular expression of up to ${MAX_PATTERN_LENGTH} characters`;
+      }
+      try {
+        new RegExp(match.titlePattern, 'i');
+      } catch (error) {
+        return `${label}.match.titlePattern is not a valid regular expression: ${error.message}`;
+      }
+    }
+    if (!MATCHERS.some(([key]) => isConfigured(match, key))) {
+      return `${label}.match needs at least one of ${MATCHERS.map(([key]) => key).join(', ')}`;
+    }
+
+    for (const key of ['enabled', 'classify', 'countTowardThreshold']) {
+      if (entry[key] !== undefined && typeof entry[key] !== 'boolean') return `${label}.${key} must be true or false`;
+    }
+    for (const key of ['name', 'description']) {
+      if (entry[key] !== undefined && typeof entry[key] !== 'string') return `${label}.${key} must be a string`;
+    }
+  }
+  return null;
+}
+
+// The free rate's description for a cart where nothing ships
+export function nothingToShipDescription(results) {
+  const entries = new Set(results.map(({ entry }) => entry));
+  const [entry] = entries;
+  return (entries.size === 1 && entry?.description) || NOTHING_TO_SHIP_DESCRIPTION;
+}
+
+// Ids and defaults for entries that don't set them
+export function normalizeEligibility(policy) {
+  return policy.map((entry, index) => {
+    const id = entry.id || slug(entry.name) || `eligibility-${Date.now().toString(36)}-${index}`;
+    const classify = entry.classify === true;
+    return {
+      ...entry,
+      id,
+      name: entry.name || id,
+      description: entry.description || '',
+      enabled: entry.enabled !== false,
+      classify,
+      countTowardThreshold: classify && entry.countTowardThreshold !== false
+    };
+  });
+}
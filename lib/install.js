@@ -0,0 +1,144 @@
+import { WEBHOOK_TOPICS } from './webhooks.js';
+
+// Keeps a shop's carrier service and webhook subscriptions in line with what
+// this deployment expects. Existing registrations are listed first and only
+// the difference is created, updated or deleted, so reinstalling (or moving
+// APP_DOMAIN) is safe to repeat.
+//
+// `request(method, resource, body)` calls the shop's Admin REST API and
+// resolves to the parsed JSON response (or throws).
+
+export const CARRIER_SERVICE_NAME = 'Ship Ship Hooray';
+
+// Carrier service fields that can drift (and be changed with an update)
+const CARRIER_SERVICE_FIELDS = ['callback_url', 'service_discovery', 'active'];
+
+export function desiredInstall(appDomain) {
+  return {
+    carrierService: {
+      name: CARRIER_SERVICE_NAME,
+      callback_url: `${appDomain}/rates`,
+      service_discovery: true,
+      active: true,
+      format: 'json'
+    },
+    webhooks: Object.entries(WEBHOOK_TOPICS).map(([topic, route]) => ({
+      topic,
+      address: `${appDomain}${route}`,
+      format: 'json'
+    }))
+  };
+}
+
+// What has to change to get from `existing` ({ carrierServices, webhooks } as
+// listed by Shopify) to `desired`. Every entry has an action of
+// ok / create / update / delete.
+export function planInstall(existing, desired) {
+  const ours = existing.carrierServices.filter(service => service.name === desired.carrierService.name);
+  const [keptService, ...extraServices] = ours;
+
+  const carrierServices = [];
+  if (!keptService) {
+    carrierServices.push({ action: 'create', expected: desired.carrierService });
+  } else {
+    const drift = CARRIER_SERVICE_FIELDS.filter(field => keptService[field] !== desired.carrierService[field]);
+    carrierServices.push({
+      action: drift.length > 0 ? 'update' : 'ok',
+      id: keptService.id,
+      callback_url: keptService.callback_url,
+      expected: desired.carrierService,
+      drift
+    });
+  }
+  for (const service of extraServices) {
+    carrierServices.push({ action: 'delete', id: service.id, callback_url: service.callback_url, reason: 'duplicate' });
+  }
+
+  const webhooks = [];
+  const wantedTopics = new Set(desired.webhooks.map(webhook => webhook.topic));
+  for (const wanted of desired.webhooks) {
+    const subscribed = existing.webhooks.filter(webhook => webhook.topic === wanted.topic);
+    // Prefer a subscription that already points at the right address
+    const kept = subscribed.find(webhook => webhook.address === wanted.address) || subscribed[0];
+
+    if (!kept) {
+      webhooks.push({ action: 'create', topic: wanted.topic, expected: wanted });
+    } else {
+      webhooks.push({
+        action: kept.address === wanted.address ? 'ok' : 'update',
+        topic: wanted.topic,
+        id: kept.id,
+        address: kept.address,
+        expected: wanted
+      });
+    }
+    for (const webhook of subscribed.filter(webhook => webhook !== kept)) {
+      webhooks.push({ action: 'delete', topic: webhook.topic, id: webhook.id, address: webhook.address, reason: 'duplicate' });
+    }
+  }
+  for (const webhook of existing.webhooks.filter(webhook => !wantedTopics.has(webhook.topic))) {
+    webhooks.push({ action: 'delete', topic: webhook.topic, id: webhook.id, address: webhook.address, reason: 'unused topic' });
+  }
+
+  const inSync = [...carrierServices, ...webhooks].every(entry => entry.action === 'ok');
+  return { in_sync: inSync, carrier_services: carrierServices, webhooks };
+}
+
+async function listExisting(request) {
+  const [carrierData, webhookData] = await Promise.all([
+    request('GET', 'carrier_services.json'),
+    request('GET', 'webhooks.json')
+  ]);
+  return {
+    carrierServices: carrierData.carrier_services || [],
+    webhooks: webhookData.webhooks || []
+  };
+}
+
+function carrierServiceCall(entry) {
+  switch (entry.action) {
+    case 'create': return ['POST', 'carrier_services.json', { carrier_service: entry.expected }];
+    case 'update': return ['PUT', `carrier_services/${entry.id}.json`, {
+      carrier_service: { id: entry.id, ...Object.fromEntries(CARRIER_SERVICE_FIELDS.map(field => [field, entry.expected[field]])) }
+    }];
+    case 'delete': return ['DELETE', `carrier_services/${entry.id}.json`];
+    default: return null;
+  }
+}
+
+function webhookCall(entry) {
+  switch (entry.action) {
+    case 'create': return ['POST', 'webhooks.json', { webhook: entry.expected }];
+    case 'update': return ['PUT', `webhooks/${entry.id}.json`, { webhook: { id: entry.id, address: entry.expected.address } }];
+    case 'delete': return ['DELETE', `webhooks/${entry.id}.json`];
+    default: return null;
+  }
+}
+
+// Lists the shop's registrations and returns the plan. With apply: true every
+// change is made; a failed change is recorded on its entry (error) and the
+// rest still run.
+export async function reconcileInstall(request, desired, { apply = false } = {}) {
+  const plan = planInstall(await listExisting(request), desired);
+  if (!apply) {
+    return { ...plan, applied: false };
+  }
+
+  const entries = [
+    ...plan.carrier_services.map(entry => [entry, carrierServiceCall(entry)]),
+    ...plan.webhooks.map(entry => [entry, webhookCall(entry)])
+  ];
+  for (const [entry, call] of entries) {
+    if (!call) continue;
+    try {
+      await request(...call);
+      entry.applied = true;
+    } catch (error) {
+      entry.applied = false;
+      entry.error = error.message;
+    }
+  }
+
+  const failed = entries.some(([entry]) => entry.error);
+  return { ...plan, in_sync: !failed, was_in_sync: plan.in_sync, applied: true };
+}
@@ -0,0 +1,54 @@
+// Rolling latency samples per operation (rates requests, Shopify and Batchy calls)
+// so we can see where time inside Shopify's carrier-callback deadline goes.
+export function createLatencyTracker({ sampleSize = 500 } = {}) {
+  const samples = new Map();
+
+  function record(name, ms) {
+    let entry = samples.get(name);
+    if (!entry) {
+      entry = { values: [], count: 0 };
+      samples.set(name, entry);
+    }
+    entry.values.push(ms);
+    entry.count++;
+    if (entry.values.length > sampleSize) {
+      entry.values.shift();
+    }
+  }
+
+  // Time an async call, recording its latency even if it throws
+  async function time(name, fn) {
+    const startTime = Date.now();
+    try {
+      return await fn();
+    } finally {
+      record(name, Date.now() - startTime);
+    }
+  }
+
+  function summary() {
+    const result = {};
+    for (const [name, { values, count }] of samples) {
+      const sorted = [...values].sort((a, b) => a - b);
+      result[name] = {
+        count,
+        avg_ms: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        p50_ms: percentile(sorted, 50),
+        p95_ms: percentile(sorted, 95),
+        max_ms: sorted[sorted.length - 1]
+      };
+    }
+    return result;
+  }
+
+  function reset() {
+    samples.clear();
+  }
+
+  return { record, time, summary, reset };
+}
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
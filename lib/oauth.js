@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { normalizeShopDomain } from './shops.js';
+
+// OAuth install flow checks: state nonces (kept in the shared cache so any
+// instance can finish an install another one started), *.myshopify.com shop
+// domains and timing-safe HMAC verification of the callback query.
+
+export const DEFAULT_SCOPES = 'read_products,write_shipping,write_products';
+
+// How long a user has to approve the install before the state nonce expires
+export const STATE_TTL_SECONDS = 10 * 60;
+
+// A rejected callback; status is the HTTP status to answer with
+export class OAuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'OAuthError';
+    this.status = status;
+  }
+}
+
+// "read_products, write_shipping" → "read_products,write_shipping"
+export function parseScopes(value) {
+  const scopes = String(value || DEFAULT_SCOPES).split(',').map(scope => scope.trim()).filter(Boolean);
+  return [...new Set(scopes)].join(',');
+}
+
+export function buildAuthorizeUrl({ shop, apiKey, scopes, redirectUri, state }) {
+  const params = new URLSearchParams({
+    client_id: apiKey,
+    scope: scopes,
+    redirect_uri: redirectUri,
+    state
+  });
+  return `https://${shop}/admin/oauth/authorize?${params}`;
+}
+
+export async function issueState(cache, shop, { ttlSeconds = STATE_TTL_SECONDS } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await cache.set(`oauth_state_${nonce}`, shop, ttlSeconds);
+  return nonce;
+}
+
+// The message Shopify signs: every parameter except hmac / signature, sorted by
+// key and URL-encoded. Repeated parameters (ids[]=1&ids[]=2) are signed as ids=["1", "2"].
+export function oauthMessage(query) {
+  const entries = Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => {
+      const value = query[key];
+      return [key, Array.isArray(value) ? `[${value.map(v => `"${v}"`).join(', ')}]` : String(value)];
+    });
+  return new URLSearchParams(entries).toString();
+}
+
+export function verifyOAuthHmac(query, secret) {
+  if (typeof query.hmac !== 'string') return false;
+  const expected = crypto.createHmac('sha256', secret).update(oauthMessage(query)).digest('hex');
+  const received = Buffer.from(query.hmac, 'utf8');
+  const calculated = Buffer.from(expected, 'utf8');
+  return received.length === calculated.length && crypto.timingSafeEqual(received, calculated);
+}
+
+// Checks an /auth/callback query and returns { shop, code }, or throws OAuthError.
+// The HMAC is checked before the state is used up, so forged callbacks can't
+// burn a real install's nonce.
+export async function verifyCallback(query, { secret, cache }) {
+  if (!secret) {
+    throw new OAuthError(500, 'SHOPIFY_API_SECRET is not set');
+  }
+
+  const { code, shop, state, hmac } = query;
+  if (!code || !shop || !state || !hmac) {
+    throw new OAuthError(400, 'Missing required parameters');
+  }
+
+  const domain = normalizeShopDomain(shop);
+  if (!domain) {
+    throw new OAuthError(400, 'Invalid shop domain');
+  }
+
+  if (!verifyOAuthHmac(query, secret)) {
+    throw new OAuthError(401, 'Invalid HMAC');
+  }
+
+  // One use only: taken out of the cache whether or not it matches
+  const stateShop = await cache.take(`oauth_state_${state}`);
+  if (!stateShop) {
+    throw new OAuthError(403, 'Unknown or expired state');
+  }
+  if (stateShop !== domain) {
+    throw new OAuthError(403, 'State was issued for a different shop');
+  }
+
+  return { shop: domain, code };
+}
@@ -0,0 +1,75 @@
+// Simple cart description for POST /rates/preview, turned into the payload
+// Shopify posts to /rates so previews go through exactly the same pricing:
+//
+//   { destination: { country, province, postal_code }, currency,
+//     items: [{ variant_id, product_id, quantity, price, grams, name, product_type, requires_shipping }] }
+//
+// price is per unit in cents; quantity defaults to 1, grams to 0 and
+// requires_shipping to true.
+
+// Returns an error message, or null when the cart is valid
+export function validatePreviewCart(cart) {
+  if (!cart || typeof cart !== 'object' || Array.isArray(cart)) {
+    return 'cart must be an object';
+  }
+  if (!Array.isArray(cart.items) || cart.items.length === 0) {
+    return 'cart.items must be a non-empty array';
+  }
+
+  for (const [index, item] of cart.items.entries()) {
+    const label = `cart.items[${index}]`;
+    if (!item || typeof item !== 'object') return `${label} must be an object`;
+    if (item.variant_id === undefined || item.variant_id === null || item.variant_id === '') {
+      return `${label} needs a variant_id`;
+    }
+    if (!(Number.isInteger(item.price) && item.price >= 0)) {
+      return `${label}.price must be a non-negative whole number of cents`;
+    }
+    if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity >= 1)) {
+      return `${label}.quantity must be a positive whole number`;
+    }
+    if (item.grams !== undefined && !(Number.isInteger(item.grams) && item.grams >= 0)) {
+      return `${label}.grams must be a non-negative whole number`;
+    }
+    if (item.requires_shipping !== undefined && typeof item.requires_shipping !== 'boolean') {
+      return `${label}.requires_shipping must be true or false`;
+    }
+  }
+
+  if (cart.destination !== undefined && (typeof cart.destination !== 'object' || Array.isArray(cart.destination))) {
+    return 'cart.destination must be an object';
+  }
+  if (cart.currency !== undefined && !/^[A-Z]{3}$/.test(cart.currency)) {
+    return 'cart.currency must be a 3-letter ISO code such as USD';
+  }
+  return null;
+}
+
+export function cartToRate(cart, defaultCurrency) {
+  const destination = { country: 'US', ...cart.destination };
+  if (destination.zip && !destination.postal_code) {
+    destination.postal_code = destination.zip;
+  }
+
+  return {
+    origin: {},
+    destination,
+    currency: cart.currency || defaultCurrency,
+    locale: 'en',
+    items: cart.items.map(item => {
+      const name = item.name || `Variant ${item.variant_id}`;
+      return {
+        name,
+        title: name,
+        sku: item.sku || '',
+        quantity: item.quantity ?? 1,
+        grams: item.grams ?? 0,
+        price: item.price,
+        product_id: item.product_id ?? null,
+        variant_id: item.variant_id,
+        product_type: item.product_type || '',
+        requires_shipping: item.requires_shipping ?? true
+      };
+    })
+  };
+}
@@ -0,0 +1,450 @@
+import { findMatchingRule, applyRuleAction, rulesUseTags } from './rules.js';
+import { findWeightTier } from './weight-tiers.js';
+import { findZone, findCountryTable, destinationCountry, resolvePricingProfile } from './zones.js';
+import { createCurrencyContext, localizeProfile } from './currency.js';
+import { resolvePromotions, detectPromotion, promotionRate } from './promotions.js';
+import { estimateDelivery, deliveryFields } from './delivery.js';
+import { levelsFor, priceServiceLevel } from './service-levels.js';
+import { classifyItems, eligibilityUsesTags, nothingToShipDescription } from './eligibility.js';
+
+// Rate calculation for one carrier-service request (one delivery group), shared
+// by /rates, /rates/preview and replay (lib/replay.js). Everything that talks to
+// Shopify, PreProduct or the cache is passed in as `lookups`:
+//
+//   productData(productId)                      → { title, tags, product_type, vendor } or null
+//   variantStatuses(variantIds, productIdsByVariant)
+//                                               → Map variantId → { isPreOrder, source, shipDate }
+//   productTags(productIds)                     → Map productId → lowercased tags
+//   poolDeliveryGroups(totals)                  → { combined, trace } from
+//                                                 aggregateDeliveryGroups; leave it
+//                                                 out to price only this cart
+
+// Price one bucket (rts / po): the first matching rule wins, otherwise the
+// threshold applies with either the weight tier fee or feeUnderThreshold.
+// profile carries the threshold / fee for the destination zone in the request
+// currency; money converts base-currency rule and tier amounts; config is the shop's.
+// A null price means the rate is hidden.
+export function priceBucket(config, bucket, { groupSubtotal, combinedSubtotal, combinedGrams, itemCount, tags }, destination, profile, money) {
+  const rule = findMatchingRule(config.rules, {
+    bucket,
+    subtotal: money.toBase(combinedSubtotal), // rule conditions are in the base currency
+    itemCount,
+    tags,
+    province: destination.province,
+    postalCode: destination.postal_code || destination.zip
+  });
+
+  if (rule) {
+    return { price: applyRuleAction(rule, { groupSubtotal, convert: money.convert }), rule, tier: null };
+  }
+
+  const tier = findWeightTier(config.weightTiers?.[bucket], combinedGrams);
+  const fee = tier ? money.convert(tier.price) : profile.feeUnderThreshold;
+  const freeOverThreshold = tier ? tier.freeOverThreshold !== false : true;
+
+  return {
+    price: freeOverThreshold && combinedSubtotal >= profile.threshold ? 0 : fee,
+    rule: null,
+    tier
+  };
+}
+
+// How one bucket was priced, for the quote log (amounts in the request currency)
+export function bucketTrace(subtotal, combinedSubtotal, grams, combinedGrams, profile, { price, rule, tier, waived = false }) {
+  let decision;
+  if (waived) {
+    decision = 'promotion-waived';
+  } else if (rule) {
+    decision = price === null ? 'hidden-by-rule' : 'rule';
+  } else if (price === 0 && combinedSubtotal >= profile.threshold && tier?.freeOverThreshold !== false) {
+    decision = 'free-over-threshold';
+  } else {
+    decision = tier ? 'weight-tier' : 'under-threshold';
+  }
+
+  return {
+    decision,
+    subtotal,
+    combined_subtotal: combinedSubtotal,
+    grams,
+    combined_grams: combinedGrams,
+    threshold: profile.threshold,
+    price,
+    rule: rule ? rule.name || rule.id : null,
+    tier: tier ? { maxGrams: tier.maxGrams ?? null, price: tier.price } : null
+  };
+}
+
+// Returns the rates array. trace collects outcome / zone / currency / variants /
+// buckets (and crossLocation when groups were pooled, delivery when dates are
+// estimated, serviceLevels when extra levels were priced); when trace.steps is an array, every decision is appended to it.
+// Delivery dates count from now. log defaults to console.
+export async function calculateRates(config, rate, { lookups, trace = {}, startTime = Date.now(), now = startTime, log = console }) {
+  const explain = (step, details) => trace.steps?.push({ step, ...details });
+
+  // Handle edge cases
+  if (rate.items.length === 0) {
+    trace.outcome = 'empty';
+    explain('items', { result: 'No items - no rates' });
+    return [];
+  }
+
+  // Zones (Alaska/Hawaii, territories, military) can override threshold, fee and labels.
+  // US territories are only quoted when a zone opts them in.
+  const destCountry = destinationCountry(rate.destination);
+  const zone = findZone(config.zones, rate.destination);
+
+  if (zone && !zone.split) {
+    log.log(`Zone "${zone.name || zone.id}" is not split — deferring to Shopify native rates`);
+    trace.outcome = 'zone-native';
+    trace.zone = zone.name || zone.id;
+    explain('zone', { zone: trace.zone, split: false, result: 'Zone is not split - Shopify native rates' });
+    return [];
+  }
+
+  // International orders only get the RTS/PO split when international is enabled
+  // and the country has a rate table. Everything else returns empty rates so
+  // Shopify uses its native international shipping profiles.
+  const countryTable = zone ? null : findCountryTable(config.international, rate.destination);
+  if (destCountry && destCountry !== 'US' && !zone && !countryTable) {
+    log.log(`International order (${destCountry}) — deferring to Shopify native rates`);
+    trace.outcome = 'international-native';
+    explain('international', { country: destCountry, table: null, result: 'No rate table for this country - Shopify native rates' });
+    return [];
+  }
+
+  // Thresholds and fees in the currency Shopify is quoting in
+  const money = createCurrencyContext(config, rate.currency);
+  if (!money.supported) {
+    log.warn(`No exchange rate for ${money.currency} — pricing with unconverted ${money.base} amounts`);
+  }
+
+  const profile = localizeProfile(resolvePricingProfile(config, zone || countryTable), zone || countryTable, money);
+  if (zone) {
+    log.log(`Destination zone: ${zone.name || zone.id}`);
+  } else if (countryTable) {
+    log.log(`International rate table: ${countryTable.name || countryTable.id} (${destCountry})`);
+  }
+  trace.zone = zone ? zone.name || zone.id : countryTable ? countryTable.name || countryTable.id : null;
+  trace.currency = money.currency;
+  if (zone) {
+    explain('zone', { zone: trace.zone, split: true });
+  } else if (countryTable) {
+    explain('international', { country: destCountry, table: trace.zone });
+  }
+  explain('pricing-profile', {
+    currency: money.currency,
+    base_currency: money.base,
+    exchange_rate_known: money.supported,
+    threshold: profile.threshold,
+    fee_under_threshold: profile.feeUnderThreshold
+  });
+
+  // Product tags, for tag-based rules and eligibility entries
+  const tagsByProduct = rulesUseTags(config.rules) || eligibilityUsesTags(config.eligibility)
+    ? await lookups.productTags(rate.items.map(item => item.product_id))
+    : new Map();
+
+  // Eligibility (see lib/eligibility.js): gift cards, items that don't ship and
+  // the like are left out of the split, so they're never looked up or priced.
+  // Classified items may still not count toward thresholds.
+  const eligibility = classifyItems(config.eligibility, rate.items, tagsByProduct);
+  const shippable = eligibility.filter(({ classify }) => classify).map(({ item }) => item);
+  const uncounted = new Set(eligibility.filter(({ classify, countTowardThreshold }) => classify && !countTowardThreshold).map(({ item }) => item));
+
+  explain('eligibility', {
+    items: eligibility.filter(({ entry }) => entry).map(({ item, entry, matchedBy, classify, countTowardThreshold }) => ({
+      variant_id: String(item.variant_id),
+      entry: entry.id,
+      matched_by: matchedBy,
+      classify,
+      count_toward_threshold: countTowardThreshold
+    })),
+    result: shippable.length === 0 ? 'Nothing to ship - free shipping' : undefined
+  });
+  if (shippable.length === 0) {
+    trace.outcome = 'nothing-to-ship';
+    return [{
+      service_name: "Free Shipping",
+      service_code: "GIFT_CARD_FREE",
+      total_price: "0",
+      currency: money.currency,
+      description: nothingToShipDescription(eligibility)
+    }];
+  }
+
+  // Promotions (see lib/promotions.js). An override promotion in the cart
+  // replaces every other rate; alongside items get their own flat rate and
+  // fold items ship free in the RTS bucket, with the rest of the cart split as usual.
+  const promotions = config.promotion.enabled ? resolvePromotions(config) : [];
+  const alongside = new Map(); // promotion → its items
+  const folded = new Set(); // items in the RTS bucket with the fee waived
+  if (promotions.length > 0) {
+    // Fetch product data (with caching) once per product
+    const uniqueProductIds = [...new Set(shippable.map(item => item.product_id))];
+    const productDataMap = new Map();
+    await Promise.all(uniqueProductIds.map(async (productId) => {
+      const productData = await lookups.productData(productId);
+      if (productData) {
+        productDataMap.set(productId, productData);
+      }
+    }));
+
+    const detection = shippable.map(item => {
+      const productData = productDataMap.get(item.product_id);
+      return { item, productData, match: detectPromotion(promotions, item, productData) };
+    });
+    const promoted = detection.filter(({ match }) => match);
+    const override = promotions.find(candidate =>
+      candidate.mode === 'override' && promoted.some(({ match }) => match.promotion === candidate)
+    );
+
+    explain('promotions', {
+      enabled: true,
+      items: detection.map(({ item, productData, match }) => ({
+        variant_id: String(item.variant_id),
+        promotion: match ? match.promotion.id : null,
+        matched_by: match ? match.matchedBy : null,
+        mode: match ? match.promotion.mode : null,
+        product_data: Boolean(productData)
+      })),
+      result: override ? `${override.name} in cart - promotion flat rate only` : undefined
+    });
+
+    if (override) {
+      log.log(`Promotion "${override.name}" cart detected (${promoted.length} promoted items, ${shippable.length - promoted.length} regular items) in ${Date.now() - startTime}ms`);
+      trace.outcome = 'promotion';
+      trace.promotions = [override.id];
+      return [promotionRate(override, money)];
+    }
+
+    for (const { item, match } of promoted) {
+      if (match.promotion.mode === 'alongside') {
+        alongside.set(match.promotion, [...(alongside.get(match.promotion) || []), item]);
+      } else {
+        folded.add(item);
+      }
+    }
+    trace.promotions = promotions
+      .filter(promotion => promoted.some(({ match }) => match.promotion === promotion))
+      .map(promotion => promotion.id);
+  } else {
+    explain('promotions', { enabled: false });
+  }
+
+  // Alongside items are priced by their promotion, not split
+  const alongsideItems = new Set([...alongside.values()].flat());
+  const items = shippable.filter(item => !alongsideItems.has(item));
+  if (items.length === 0) {
+    trace.outcome = 'promotion';
+    return [...alongside.keys()].map(promotion => promotionRate(promotion, money));
+  }
+
+  // Get variant IDs
+  const variantIds = items.map(item => item.variant_id.toString());
+
+  // Shopify includes product_id on each item, which saves a variant lookup per item
+  const productIdsByVariant = new Map(
+    items
+      .filter(item => item.product_id)
+      .map(item => [item.variant_id.toString(), item.product_id.toString()])
+  );
+
+  // Fetch pre-order status for all variants
+  const variantStatuses = await lookups.variantStatuses(variantIds, productIdsByVariant);
+  trace.variants = [...variantStatuses].map(([variantId, { isPreOrder, source, shipDate }]) => ({
+    variant_id: variantId,
+    bucket: isPreOrder ? 'po' : 'rts',
+    source,
+    ...(isPreOrder && shipDate && { ship_date: shipDate })
+  }));
+  for (const variant of trace.variants) {
+    explain('variant-status', variant);
+  }
+
+  // Calculate subtotals for THIS delivery group
+  let rtsSubtotal = 0;
+  let preorderSubtotal = 0;
+  const rtsStats = { itemCount: 0, grams: 0, tags: new Set() };
+  const poStats = { itemCount: 0, grams: 0, tags: new Set() };
+  const poShipDates = []; // per pre-order item, null when its provider gave none
+  const uncountedItems = { rts: 0, po: 0 }; // in the bucket, left out of its subtotal
+
+  for (const item of items) {
+    const variantId = item.variant_id.toString();
+    const isPreOrder = !folded.has(item) && (variantStatuses.get(variantId)?.isPreOrder || false);
+    const extended = item.price * item.quantity; // Price is in cents, pre-discount
+    const stats = isPreOrder ? poStats : rtsStats;
+
+    if (uncounted.has(item)) {
+      uncountedItems[isPreOrder ? 'po' : 'rts']++;
+    } else if (isPreOrder) {
+      preorderSubtotal += extended;
+    } else {
+      rtsSubtotal += extended;
+    }
+    if (isPreOrder) {
+      poShipDates.push(variantStatuses.get(variantId)?.shipDate ?? null);
+    }
+
+    stats.itemCount += item.quantity;
+    stats.grams += (item.grams || 0) * item.quantity; // grams is per unit
+    for (const tag of tagsByProduct.get(item.product_id) || []) {
+      stats.tags.add(tag);
+    }
+  }
+
+  // Cross-location free shipping: When Shopify splits an order across
+  // fulfillment locations, it calls /rates once per delivery group.
+  // Each group only sees its own items, so a $100 order split into
+  // $60 + $40 would charge $5 shipping on the $40 group.
+  // Fix: pool each group's totals in the shared cache under a key for this
+  // checkout's destination (see lib/cross-location.js), so the $50 threshold
+  // applies to the full order. Weight is combined the same way so weight tiers
+  // see the whole shipment.
+  let combinedRtsTotal = rtsSubtotal;
+  let combinedPoTotal = preorderSubtotal;
+  let combinedRtsGrams = rtsStats.grams;
+  let combinedPoGrams = poStats.grams;
+  const dest = rate.destination || {};
+
+  if (!lookups.poolDeliveryGroups) {
+    explain('cross-location', { enabled: config.crossLocation.enabled, result: 'Skipped - only this cart is priced' });
+  } else if (config.crossLocation.enabled && (rtsSubtotal > 0 || preorderSubtotal > 0)) {
+    try {
+      const { combined, trace: crossLocation } = await lookups.poolDeliveryGroups({
+        rts: { subtotal: rtsSubtotal, grams: rtsStats.grams },
+        po: { subtotal: preorderSubtotal, grams: poStats.grams }
+      });
+      trace.crossLocation = crossLocation;
+
+      if (crossLocation.groups.length > 1) {
+        combinedRtsTotal = combined.rts.subtotal;
+        combinedPoTotal = combined.po.subtotal;
+        combinedRtsGrams = combined.rts.grams;
+        combinedPoGrams = combined.po.grams;
+        log.log(`Cross-location: ${crossLocation.groups.length} groups (${crossLocation.resolved_by} after ${crossLocation.waited_ms}ms), ` +
+          `RTS $${combinedRtsTotal/100} ${combinedRtsGrams}g, PO $${combinedPoTotal/100} ${combinedPoGrams}g`);
+      }
+    } catch (e) {
+      log.log('Cross-location tracking error (non-fatal):', e.message);
+      // Fall back to per-group threshold
+    }
+  }
+
+  const rates = [];
+  trace.outcome = 'split';
+  trace.buckets = {};
+
+  // Delivery date estimates (see lib/delivery.js); {} when they are off or unknown.
+  // A service level's own transit days replace the bucket's.
+  const deliveryDates = (bucket, shipDates, level = null) => {
+    if (!config.delivery?.enabled) return {};
+    const settings = level?.delivery
+      ? { ...config.delivery, [bucket]: { ...config.delivery[bucket], ...level.delivery } }
+      : config.delivery;
+    const estimate = estimateDelivery(settings, bucket, { now, shipDates });
+    trace.delivery = { ...trace.delivery, [level ? `${bucket}.${level.id}` : bucket]: estimate };
+    explain('delivery', { bucket, level: level?.id, ...estimate });
+    return estimate.reason ? {} : deliveryFields(estimate, config.delivery.timezone);
+  };
+
+  // Extra service levels (see lib/service-levels.js), added after the standard rate
+  const serviceLevelRates = (bucket, stats, shipDates) =>
+    levelsFor(config.serviceLevels, bucket, { zoned: Boolean(zone || countryTable) }).map(level => {
+      const { price, free } = priceServiceLevel(level, stats, profile, money);
+      trace.serviceLevels = [...(trace.serviceLevels || []), { bucket, level: level.id, price, free }];
+      explain('service-level', { bucket, level: level.id, price, free });
+      return {
+        service_name: level.name,
+        service_code: level.serviceCode,
+        total_price: price.toString(),
+        currency: money.currency,
+        description: level.description,
+        ...deliveryDates(bucket, shipDates, level)
+      };
+    });
+
+  // Emit RTS rate if there are RTS items
+  // Use combinedRtsTotal for threshold / rule subtotal checks (cross-location aware)
+  if (rtsSubtotal > 0 || uncountedItems.rts > 0 || folded.size > 0) {
+    const { price: rtsPrice, rule, tier, waived } = folded.size > 0
+      ? { price: 0, rule: null, tier: null, waived: true }
+      : priceBucket(config, 'rts', {
+        groupSubtotal: rtsSubtotal,
+        combinedSubtotal: combinedRtsTotal,
+        combinedGrams: combinedRtsGrams,
+        ...rtsStats
+      }, dest, profile, money);
+
+    if (waived) {
+      log.log(`RTS fee waived for ${folded.size} promoted item(s)`);
+    } else if (rule) {
+      log.log(`RTS priced by rule "${rule.name || rule.id}"`);
+    } else if (tier) {
+      log.log(`RTS weight tier: ${combinedRtsGrams}g → up to ${tier.maxGrams ?? '∞'}g tier`);
+    }
+    trace.buckets.rts = bucketTrace(rtsSubtotal, combinedRtsTotal, rtsStats.grams, combinedRtsGrams, profile, { price: rtsPrice, rule, tier, waived });
+    explain('price', { bucket: 'rts', ...trace.buckets.rts });
+    if (rtsPrice !== null) {
+      rates.push({
+        service_name: profile.labels.rts,
+        service_code: "RTS_STD",
+        total_price: rtsPrice.toString(),
+        currency: money.currency,
+        description: profile.descriptions.rts,
+        ...deliveryDates('rts')
+      });
+      rates.push(...serviceLevelRates('rts', {
+        combinedSubtotal: combinedRtsTotal,
+        combinedGrams: combinedRtsGrams,
+        itemCount: rtsStats.itemCount
+      }));
+    }
+  }
+
+  // Emit Pre-Order rate if there are PO items
+  // Use combinedPoTotal for threshold / rule subtotal checks (cross-location aware)
+  if (preorderSubtotal > 0 || uncountedItems.po > 0) {
+    const { price: poPrice, rule, tier } = priceBucket(config, 'po', {
+      groupSubtotal: preorderSubtotal,
+      combinedSubtotal: combinedPoTotal,
+      combinedGrams: combinedPoGrams,
+      ...poStats
+    }, dest, profile, money);
+
+    if (rule) {
+      log.log(`PO priced by rule "${rule.name || rule.id}"`);
+    } else if (tier) {
+      log.log(`PO weight tier: ${combinedPoGrams}g → up to ${tier.maxGrams ?? '∞'}g tier`);
+    }
+    trace.buckets.po = bucketTrace(preorderSubtotal, combinedPoTotal, poStats.grams, combinedPoGrams, profile, { price: poPrice, rule, tier });
+    explain('price', { bucket: 'po', ...trace.buckets.po });
+    if (poPrice !== null) {
+      rates.push({
+        service_name: profile.labels.po,
+        service_code: "PO_STD",
+        total_price: poPrice.toString(),
+        currency: money.currency,
+        description: profile.descriptions.po,
+        ...deliveryDates('po', poShipDates)
+      });
+      rates.push(...serviceLevelRates('po', {
+        combinedSubtotal: combinedPoTotal,
+        combinedGrams: combinedPoGrams,
+        itemCount: poStats.itemCount
+      }, poShipDates));
+    }
+  }
+
+  // Alongside promotions add their flat rate after the split
+  for (const promotion of alongside.keys()) {
+    rates.push(promotionRate(promotion, money));
+  }
+
+  const processingTime = Date.now() - startTime;
+  log.log(`Rates calculated in ${processingTime}ms for ${rate.items.length} items`);
+  log.log(`RTS subtotal: $${rtsSubtotal/100} (combined: $${combinedRtsTotal/100}), PO subtotal: $${preorderSubtotal/100}`);
+
+  return rates;
+}
@@ -0,0 +1,228 @@
+// Promotions: products that ship at a promotion's flat rate, or free in the
+// RTS bucket, instead of the normal RTS / PO split. Detection is shared by
+// /rates (lib/pricing.js) and /test-product-detection so both always agree.
+//
+// appConfig.promotion.enabled switches all promotions on or off. Each promotion
+// in appConfig.promotions matches items on any of:
+//   tags         - product tags (any case) containing one of these, or equal to
+//                  one with tagMatch: "exact"
+//   productTypes - product type
+//   vendors      - vendor
+//   skuPrefixes  - start of the item SKU
+//   titlePattern - regular expression (case-insensitive) tested on the product
+//                  title, or the item title when the product can't be loaded
+//
+// and is applied in one of these modes:
+//   override  - the whole cart only gets the flat rate (the default)
+//   alongside - promoted items get the flat rate as an extra rate; the rest of
+//               the cart is split into RTS / PO as usual
+//   fold      - promoted items ship in the RTS bucket, which is then free
+// If any promoted item's promotion is an override, the highest-priority one wins.
+//
+// appConfig.promotions = [{ id: "mystery-box", name: "Mystery Box", priority: 10,
+//   mode: "override", match: { tags: ["mysterybox"], tagMatch: "exact", titlePattern: "mystery ?box" },
+//   flatRate: 695, label: "Mystery Box Shipping", description: "Flat rate per order" }]
+//
+// Until any are configured, the built-in Mystery Box promotion is used: a tag
+// containing promotion.tag, "mysterybox", "mystery-box" or "mystery box", or
+// "mystery box" in the title, priced with promotion.flatRate,
+// labels.promo and descriptions.promo, in promotion.mode.
+
+export const BUILT_IN_PROMOTION_ID = 'mystery-box';
+export const PROMOTION_MODES = ['override', 'alongside', 'fold'];
+export const TAG_MATCHES = ['contains', 'exact'];
+
+const MATCHERS = [
+  ['tags', 'tag'],
+  ['productTypes', 'product type'],
+  ['vendors', 'vendor'],
+  ['skuPrefixes', 'sku prefix'],
+  ['titlePattern', 'title']
+];
+const MAX_PATTERN_LENGTH = 200;
+
+function builtInPromotion(config) {
+  const tags = [config.promotion?.tag, 'mysterybox', 'mystery-box', 'mystery box'].filter(Boolean);
+  return {
+    id: BUILT_IN_PROMOTION_ID,
+    name: 'Mystery Box',
+    enabled: true,
+    priority: 0,
+    mode: config.promotion?.mode || 'override',
+    match: { tags: [...new Set(tags.map(tag => tag.toLowerCase()))], titlePattern: 'mystery ?box' },
+    flatRate: config.promotion?.flatRate,
+    label: config.labels?.promo,
+    description: config.descriptions?.promo,
+    serviceCode: 'MYSTERY_BOX_FLAT',
+    // Uses the per-currency promoFlatRate (lib/currency.js)
+    builtIn: true
+  };
+}
+
+// Enabled promotions, highest priority first (list order breaks ties)
+export function resolvePromotions(config) {
+  const promotions = config.promotions?.length ? config.promotions : [builtInPromotion(config)];
+  return promotions
+    .map((promotion, index) => ({ promotion, index }))
+    .filter(({ promotion }) => promotion.enabled !== false)
+    .sort((a, b) => (b.promotion.priority || 0) - (a.promotion.priority || 0) || a.index - b.index)
+    .map(({ promotion }) => promotion.mode ? promotion : { ...promotion, mode: 'override' });
+}
+
+// Returns an error message, or null when the built-in promotion settings are valid
+export function validatePromotionSettings(promotion) {
+  if (!promotion || typeof promotion !== 'object' || Array.isArray(promotion)) return 'promotion must be an object';
+  if (promotion.enabled !== undefined && typeof promotion.enabled !== 'boolean') return 'promotion.enabled must be true or false';
+  if (promotion.flatRate !== undefined && !(Number.isInteger(promotion.flatRate) && promotion.flatRate >= 0)) {
+    return 'promotion.flatRate must be a non-negative whole number of cents';
+  }
+  if (promotion.tag !== undefined && typeof promotion.tag !== 'string') return 'promotion.tag must be a string';
+  if (promotion.mode !== undefined && !PROMOTION_MODES.includes(promotion.mode)) {
+    return `promotion.mode must be one of ${PROMOTION_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+function lower(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function productTags(product) {
+  return product?.tags ? product.tags.split(',').map(lower).filter(Boolean) : [];
+}
+
+// How an item matches one promotion ('tag', 'vendor', ...), or null
+export function matchPromotion(promotion, item, product) {
+  const match = promotion.match || {};
+  const checks = {
+    tags: () => {
+      const wanted = (match.tags || []).map(lower);
+      const exact = match.tagMatch === 'exact';
+      return productTags(product).some(tag => wanted.some(value => (exact ? tag === value : tag.includes(value))));
+    },
+    productTypes: () => (match.productTypes || []).map(lower).includes(lower(product?.product_type || item.product_type)),
+    vendors: () => (match.vendors || []).map(lower).includes(lower(item.vendor || product?.vendor)),
+    skuPrefixes: () => {
+      const sku = lower(item.sku);
+      return sku !== '' && (match.skuPrefixes || []).some(prefix => sku.startsWith(lower(prefix)));
+    },
+    titlePattern: () => new RegExp(match.titlePattern, 'i').test(product ? product.title : item.title || item.name || '')
+  };
+
+  for (const [key, label] of MATCHERS) {
+    const configured = key === 'titlePattern' ? Boolean(match.titlePattern) : match[key]?.length > 0;
+    if (configured && checks[key]()) return label;
+  }
+  return null;
+}
+
+// First (highest priority) promotion the item matches: { promotion, matchedBy } or null
+export function detectPromotion(promotions, item, product) {
+  for (const promotion of promotions) {
+    const matchedBy = matchPromotion(promotion, item, product);
+    if (matchedBy) return { promotion, matchedBy };
+  }
+  return null;
+}
+
+// Flat rate in the request currency
+export function promotionRate(promotion, money) {
+  const cents = promotion.builtIn
+    ? money.amount('promoFlatRate', promotion.flatRate)
+    : money.convert(promotion.flatRate);
+  return {
+    service_name: promotion.label || promotion.name,
+    service_code: promotion.serviceCode,
+    total_price: cents.toString(),
+    currency: money.currency,
+    description: promotion.description || ''
+  };
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+}
+
+// Returns an error message, or null when the promotion list is valid
+export function validatePromotions(promotions) {
+  if (!Array.isArray(promotions)) return 'promotions must be an array';
+
+  const ids = new Set();
+  for (const [index, promotion] of promotions.entries()) {
+    const label = `promotions[${index}]`;
+    if (!promotion || typeof promotion !== 'object') return `${label} must be an object`;
+    if (!promotion.id && !promotion.name) return `${label} needs an id or name`;
+    const id = promotion.id || slug(promotion.name);
+    if (ids.has(id)) return `${label} has duplicate id "${id}"`;
+    ids.add(id);
+
+    const match = promotion.match;
+    if (!match || typeof match !== 'object' || Array.isArray(match)) return `${label}.match must be an object`;
+    for (const [key] of MATCHERS.filter(([key]) => key !== 'titlePattern')) {
+      if (match[key] !== undefined && !isStringList(match[key])) return `${label}.match.${key} must be a list of strings`;
+    }
+    if (match.tagMatch !== undefined && !TAG_MATCHES.includes(match.tagMatch)) {
+      return `${label}.match.tagMatch must be one of ${TAG_MATCHES.join(', ')}`;
+    }
+    if (match.titlePattern !== undefined) {
+      if (typeof match.titlePattern !== 'string' || !match.titlePattern || match.titlePattern.length > MAX_PATTERN_LENGTH) {
+        return `${label}.match.titlePattern must be a regular expression of up to ${MAX_PATTERN_LENGTH} characters`;
+      }
+      try {
+        new RegExp(match.titlePattern, 'i');
+      } catch (error) {
+        return `${label}.match.titlePattern is not a valid regular expression: ${error.message}`;
+      }
+    }
+    if (!MATCHERS.some(([key]) => key === 'titlePattern' ? match.titlePattern : match[key]?.length > 0)) {
+      return `${label}.match needs at least one of ${MATCHERS.map(([key]) => key).join(', ')}`;
+    }
+
+    if (!(Number.isInteger(promotion.flatRate) && promotion.flatRate >= 0)) {
+      return `${label}.flatRate must be a non-negative whole number of cents`;
+    }
+    if (promotion.mode !== undefined && !PROMOTION_MODES.includes(promotion.mode)) {
+      return `${label}.mode must be one of ${PROMOTION_MODES.join(', ')}`;
+    }
+    if (promotion.priority !== undefined && !Number.isFinite(promotion.priority)) {
+      return `${label}.priority must be a number`;
+    }
+    if (promotion.serviceCode !== undefined && !/^[A-Z0-9_]+$/.test(promotion.serviceCode)) {
+      return `${label}.serviceCode may only contain A-Z, 0-9 and _`;
+    }
+    for (const key of ['label', 'description']) {
+      if (promotion[key] !== undefined && typeof promotion[key] !== 'string') return `${label}.${key} must be a string`;
+    }
+  }
+  return null;
+}
+
+function slug(value) {
+  return lower(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Ids, service codes and labels for promotions that don't set them
+// Ids a schedule window can target: the configured promotions, or the
+// built-in one when none are configured
+export function promotionIds(promotions) {
+  return promotions?.length
+    ? promotions.map(promotion => promotion?.id || slug(promotion?.name))
+    : [BUILT_IN_PROMOTION_ID];
+}
+
+export function normalizePromotions(promotions) {
+  return promotions.map((promotion, index) => {
+    const id = promotion.id || slug(promotion.name) || `promotion-${Date.now().toString(36)}-${index}`;
+    return {
+      ...promotion,
+      id,
+      name: promotion.name || id,
+      enabled: promotion.enabled !== false,
+      priority: promotion.priority ?? 0,
+      mode: promotion.mode || 'override',
+      serviceCode: promotion.serviceCode || `PROMO_${id.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`,
+      label: promotion.label || promotion.name || id,
+      description: promotion.description || ''
+    };
+  });
+}
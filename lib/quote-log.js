@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Audit log of /rates quotes: one JSON line per quote in the shop's data dir,
+// so "why did this customer get charged $5?" can be answered after the fact.
+// Appends are cheap enough for the checkout path. Entries past retentionDays
+// (or beyond the newest maxEntries) are dropped when the log is compacted,
+// which happens at most once per COMPACT_INTERVAL_MS.
+
+export const QUOTE_LOG_FILE = 'quotes.jsonl';
+export const DEFAULT_QUOTE_LOG_SETTINGS = { enabled: true, retentionDays: 7, maxEntries: 5000 };
+const COMPACT_INTERVAL_MS = 10 * 60 * 1000;
+
+// settings() returns the shop's current quoteLog settings
+// ({ enabled, retentionDays, maxEntries }), so config changes apply straight away
+export function createQuoteLog({ dir, fileName = QUOTE_LOG_FILE, settings = () => ({}), now = Date.now }) {
+  const filePath = path.join(dir, fileName);
+  let lastCompactedAt = 0;
+  // Serialize appends and compaction so a rewrite can't drop a quote being appended
+  let writeQueue = Promise.resolve();
+
+  function enqueue(fn) {
+    const run = writeQueue.then(fn);
+    // Keep the queue alive even if this write fails
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  function currentSettings() {
+    return { ...DEFAULT_QUOTE_LOG_SETTINGS, ...settings() };
+  }
+
+  function retained(entries) {
+    const { retentionDays, maxEntries } = currentSettings();
+    const cutoff = now() - retentionDays * 24 * 3600 * 1000;
+    return entries.filter(entry => Date.parse(entry.at) >= cutoff).slice(-maxEntries);
+  }
+
+  // Oldest first; unreadable lines (e.g. a crash mid-append) are skipped
+  async function readEntries() {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Partially written line - leave it out
+      }
+    }
+    return entries;
+  }
+
+  function compact() {
+    return enqueue(async () => {
+      const entries = await readEntries();
+      const kept = retained(entries);
+      lastCompactedAt = now();
+      if (kept.length === entries.length) return 0;
+
+      // Write to a temp file and rename so a crash mid-write can't lose the log
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+      await fs.rename(tmpPath, filePath);
+      return entries.length - kept.length;
+    });
+  }
+
+  // Stores a quote and returns it with its id and timestamp (null when logging is off)
+  async function record(quote) {
+    if (!currentSettings().enabled) return null;
+
+    const entry = { id: crypto.randomUUID(), at: new Date(now()).toISOString(), ...quote };
+    await enqueue(async () => {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+    });
+
+    if (now() - lastCompactedAt >= COMPACT_INTERVAL_MS) {
+      await compact();
+    }
+    return entry;
+  }
+
+  // Newest first. from / to are timestamps in ms; zip matches postal codes
+  // by prefix (ignoring case and spaces); variant matches any item in the quote.
+  async function query({ from = null, to = null, zip = null, variant = null, limit = 100 } = {}) {
+    const zipPrefix = zip ? normalizePostalCode(zip) : null;
+    const matches = retained(await readEntries()).filter(entry => {
+      const at = Date.parse(entry.at);
+      if (from !== null && at < from) return false;
+      if (to !== null && at > to) return false;
+      if (zipPrefix && !normalizePostalCode(entry.destination?.postal_code).startsWith(zipPrefix)) return false;
+      if (variant && !(entry.items || []).some(item => String(item.variant_id) === String(variant))) return false;
+      return true;
+    });
+
+    return { total: matches.length, quotes: matches.reverse().slice(0, limit) };
+  }
+
+  async function get(id) {
+    return retained(await readEntries()).find(entry => entry.id === id) || null;
+  }
+
+  return { record, query, get, compact, filePath };
+}
+
+function normalizePostalCode(value) {
+  return String(value ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Returns an error message, or null when the quote log settings are valid
+export function validateQuoteLogSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'quoteLog must be an object';
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    return 'quoteLog.enabled must be true or false';
+  }
+  if (settings.retentionDays !== undefined && !(Number.isInteger(settings.retentionDays) && settings.retentionDays >= 1)) {
+    return 'quoteLog.retentionDays must be a whole number of days (at least 1)';
+  }
+  if (settings.maxEntries !== undefined && !(Number.isInteger(settings.maxEntries) && settings.maxEntries >= 1)) {
+    return 'quoteLog.maxEntries must be a positive whole number';
+  }
+  return null;
+}
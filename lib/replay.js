@@ -0,0 +1,249 @@
+import { calculateRates } from './pricing.js';
+import { applySchedule } from './schedule.js';
+
+// Replays recorded carrier-service requests through the rate calculation with
+// the current config and a proposed one, to see which quotes would change
+// before the change goes live. Nothing is looked up: pre-order statuses come
+// from the recorded quote when there is one, else from a stub map, else the
+// default bucket; products are only known through `products` (tags / titles /
+// types / vendors for promotion detection and tag rules). Cross-location pooling is skipped,
+// so every request is priced on its own. Scheduled windows and delivery dates
+// are as of the time a logged quote was made (payloads are priced as of now).
+// Stubs carry no pre-order ship dates, so PO rates get no delivery dates.
+//
+// Input is JSONL (or an array of parsed lines). Each line can be:
+//   { "rate": { ... } }          - the body Shopify posts to /rates
+//   { "items": [...], ... }      - a bare rate
+//   a quote log entry            - from GET /quotes or quotes.jsonl
+// Anything else (blank, unparseable, no items) is reported as skipped.
+
+const STATUS_VALUES = { po: true, rts: false, true: true, false: false };
+
+// Status stubs use 'po' / 'rts' (or true / false for pre-order)
+function isPreOrderStub(value) {
+  return STATUS_VALUES[String(value).toLowerCase()];
+}
+
+// Returns an error message, or null when the stubs are valid
+export function validateStatusStubs(statuses) {
+  if (!statuses || typeof statuses !== 'object' || Array.isArray(statuses)) {
+    return 'statuses must be an object of variant ID → "po" or "rts"';
+  }
+  for (const [variantId, value] of Object.entries(statuses)) {
+    if (isPreOrderStub(value) === undefined) {
+      return `statuses["${variantId}"] must be "po" or "rts"`;
+    }
+  }
+  return null;
+}
+
+const PRODUCT_FIELDS = ['title', 'tags', 'product_type', 'vendor'];
+
+// Returns an error message, or null when the product stubs are valid
+export function validateProductStubs(products) {
+  if (!products || typeof products !== 'object' || Array.isArray(products)) {
+    return 'products must be an object of product ID → { title, tags, product_type, vendor }';
+  }
+  for (const [productId, product] of Object.entries(products)) {
+    if (!product || typeof product !== 'object' || Array.isArray(product)) {
+      return `products["${productId}"] must be an object`;
+    }
+    for (const field of PRODUCT_FIELDS) {
+      if (product[field] !== undefined && typeof product[field] !== 'string') {
+        return `products["${productId}"].${field} must be a string${field === 'tags' ? ' (comma separated)' : ''}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Quote log entries keep the priced parts of the request; rebuild the payload from them
+function quoteToRate(quote) {
+  return {
+    destination: { ...quote.destination },
+    currency: quote.currency || undefined,
+    items: quote.items.map(item => ({
+      name: item.name || '',
+      title: item.name || '',
+      quantity: item.quantity,
+      price: item.price,
+      grams: item.grams,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      product_type: item.product_type || '',
+      requires_shipping: item.requires_shipping ?? true
+    }))
+  };
+}
+
+function toEntry(value, line) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { skipped: { line, reason: 'Not a JSON object' } };
+  }
+
+  if (Array.isArray(value.variants) && Array.isArray(value.items) && value.result !== undefined) {
+    return {
+      entry: {
+        line,
+        id: value.id || null,
+        at: Date.parse(value.at) || null,
+        source: 'quote-log',
+        rate: quoteToRate(value),
+        statuses: Object.fromEntries(value.variants.map(variant => [String(variant.variant_id), variant.bucket === 'po']))
+      }
+    };
+  }
+
+  const rate = value.rate || value;
+  if (!Array.isArray(rate.items)) {
+    return { skipped: { line, reason: 'No rate payload (expected { rate: { items, destination } })' } };
+  }
+  for (const item of rate.items) {
+    if (!item || item.variant_id === undefined || item.variant_id === null || !Number.isFinite(item.price)) {
+      return { skipped: { line, reason: 'Every item needs a variant_id and a price' } };
+    }
+  }
+  // Title drives eligibility / promotion detection; hand-written payloads may only have a name
+  const items = rate.items.map(item => ({ ...item, title: item.title ?? item.name ?? '' }));
+  return { entry: { line, id: value.id || null, at: null, source: 'payload', rate: { ...rate, items }, statuses: {} } };
+}
+
+// { entries, skipped } from JSONL text or an array of parsed lines
+export function parseReplayInput(input) {
+  const lines = typeof input === 'string' ? input.split('\n') : input;
+  const entries = [];
+  const skipped = [];
+
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+    let value = raw;
+    if (typeof raw === 'string') {
+      if (!raw.trim()) return;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        skipped.push({ line, reason: 'Invalid JSON' });
+        return;
+      }
+    }
+    const result = toEntry(value, line);
+    if (result.entry) entries.push(result.entry);
+    else skipped.push(result.skipped);
+  });
+
+  return { entries, skipped };
+}
+
+function stubLookups(entry, { statuses, defaultStatus, products }) {
+  return {
+    productData: async (productId) => products[String(productId)] || null,
+    variantStatuses: async (variantIds) => {
+      const results = new Map();
+      for (const variantId of variantIds) {
+        if (entry.statuses[variantId] !== undefined) {
+          results.set(variantId, { isPreOrder: entry.statuses[variantId], source: 'recorded' });
+        } else if (statuses[variantId] !== undefined) {
+          results.set(variantId, { isPreOrder: isPreOrderStub(statuses[variantId]), source: 'stub' });
+        } else {
+          results.set(variantId, { isPreOrder: defaultStatus === 'po', source: 'default' });
+        }
+      }
+      return results;
+    },
+    productTags: async (productIds) => new Map(productIds.map(productId => {
+      const tags = products[String(productId)]?.tags;
+      return [productId, tags ? tags.split(',').map(tag => tag.trim().toLowerCase()) : []];
+    }))
+  };
+}
+
+const SILENT_LOG = { log() {}, warn() {} };
+
+// Same answer /rates would give, minus the deadline and fallback rates
+async function quote(saved, entry, options) {
+  const now = entry.at ?? options.now;
+  const { config } = applySchedule(saved, now);
+  if (config.killSwitch) {
+    return { outcome: 'kill-switch', rates: [] };
+  }
+  const trace = {};
+  const rates = await calculateRates(config, entry.rate, { lookups: stubLookups(entry, options), trace, now, log: SILENT_LOG });
+  return { outcome: trace.outcome, rates };
+}
+
+// Per service_code: rates that appeared, disappeared or changed price / label
+export function diffRates(before, after) {
+  const changes = [];
+  const afterByCode = new Map(after.map(rate => [rate.service_code, rate]));
+  const beforeCodes = new Set(before.map(rate => rate.service_code));
+
+  for (const old of before) {
+    const current = afterByCode.get(old.service_code);
+    if (!current) {
+      changes.push({ service_code: old.service_code, change: 'removed', before: old, after: null, delta: null });
+      continue;
+    }
+    const fields = ['total_price', 'service_name', 'description', 'currency'].filter(field => old[field] !== current[field]);
+    if (fields.length > 0) {
+      const delta = Number(current.total_price) - Number(old.total_price);
+      changes.push({ service_code: old.service_code, change: 'changed', fields, before: old, after: current, delta });
+    }
+  }
+  for (const current of after) {
+    if (!beforeCodes.has(current.service_code)) {
+      changes.push({ service_code: current.service_code, change: 'added', before: null, after: current, delta: null });
+    }
+  }
+  return changes;
+}
+
+// Prices every entry with both configs. The report lists only the quotes that
+// change; total_delta sums price changes per currency (in cents).
+// options: statuses (variant ID → 'po' / 'rts'), defaultStatus ('rts'),
+// products (product ID → { title, tags, product_type, vendor }), now (for payloads without a time).
+export async function replayQuotes(entries, { current, candidate, statuses = {}, defaultStatus = 'rts', products = {}, now = Date.now() }) {
+  const options = { statuses, defaultStatus, products, now };
+  const report = { replayed: 0, changed: 0, unchanged: 0, errors: [], total_delta: {}, quotes: [] };
+
+  for (const entry of entries) {
+    let before, after;
+    try {
+      before = await quote(current, entry, options);
+      after = await quote(candidate, entry, options);
+    } catch (error) {
+      report.errors.push({ line: entry.line, id: entry.id, error: error.message });
+      continue;
+    }
+    report.replayed++;
+
+    const changes = diffRates(before.rates, after.rates);
+    if (changes.length === 0 && before.outcome === after.outcome) {
+      report.unchanged++;
+      continue;
+    }
+
+    report.changed++;
+    let delta = 0;
+    for (const change of changes) {
+      if (!change.delta) continue;
+      delta += change.delta;
+      const currency = change.after.currency;
+      report.total_delta[currency] = (report.total_delta[currency] || 0) + change.delta;
+    }
+
+    const dest = entry.rate.destination || {};
+    report.quotes.push({
+      line: entry.line,
+      id: entry.id,
+      source: entry.source,
+      destination: [dest.postal_code || dest.zip, dest.province, dest.country].filter(Boolean).join(' '),
+      items: entry.rate.items.length,
+      before,
+      after,
+      delta,
+      changes
+    });
+  }
+
+  return report;
+}
@@ -0,0 +1,149 @@
+// Ordered shipping rule engine.
+// Rules are evaluated top to bottom for each bucket (rts / po) and the first
+// matching rule decides the price. When no rule matches, /rates falls back to
+// the threshold / feeUnderThreshold pair.
+//
+// Rule shape:
+// {
+//   id: "free-ca-preorders",
+//   name: "Free pre-order shipping to California",
+//   enabled: true,
+//   conditions: {
+//     buckets: ["po"],             // rts, po
+//     minSubtotal: 2500,           // cents, inclusive (cross-location combined subtotal)
+//     maxSubtotal: 5000,           // cents, exclusive
+//     provinces: ["CA"],           // destination province codes
+//     zipPrefixes: ["900", "902"], // destination postal code prefixes
+//     tags: ["oversized"],         // any item in the bucket has any of these product tags
+//     minItems: 1,                 // total quantity in the bucket, inclusive
+//     maxItems: 10                 // inclusive
+//   },
+//   action: { type: "free" }       // free | fixed { amount } | percent { percent } | hide
+// }
+
+export const ACTION_TYPES = ['fixed', 'free', 'percent', 'hide'];
+export const BUCKETS = ['rts', 'po'];
+
+// First enabled rule whose conditions all match, or null
+export function findMatchingRule(rules, context) {
+  for (const rule of rules || []) {
+    if (rule.enabled === false) continue;
+    if (ruleMatches(rule, context)) return rule;
+  }
+  return null;
+}
+
+export function ruleMatches(rule, { bucket, subtotal, itemCount, province, postalCode, tags }) {
+  const c = rule.conditions || {};
+
+  if (hasValues(c.buckets) && !c.buckets.includes(bucket)) return false;
+  if (c.minSubtotal != null && subtotal < c.minSubtotal) return false;
+  if (c.maxSubtotal != null && subtotal >= c.maxSubtotal) return false;
+  if (c.minItems != null && itemCount < c.minItems) return false;
+  if (c.maxItems != null && itemCount > c.maxItems) return false;
+
+  if (hasValues(c.provinces)) {
+    const code = (province || '').toUpperCase();
+    if (!c.provinces.some(p => p.toUpperCase() === code)) return false;
+  }
+
+  if (hasValues(c.zipPrefixes)) {
+    const zip = (postalCode || '').replace(/\s+/g, '').toUpperCase();
+    if (!c.zipPrefixes.some(prefix => zip.startsWith(prefix.replace(/\s+/g, '').toUpperCase()))) return false;
+  }
+
+  if (hasValues(c.tags)) {
+    const itemTags = tags || new Set();
+    if (!c.tags.some(tag => itemTags.has(tag.trim().toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+// Price in cents for a matched rule, or null when the rule hides the rate.
+// Percentages apply to this delivery group's own subtotal; fixed amounts are
+// in the base currency and go through convert for other request currencies.
+export function applyRuleAction(rule, { groupSubtotal, convert = cents => cents }) {
+  const { type, amount = 0, percent = 0 } = rule.action || {};
+
+  switch (type) {
+    case 'free':
+      return 0;
+    case 'fixed':
+      return Math.round(convert(amount));
+    case 'percent':
+      return Math.round(groupSubtotal * percent / 100);
+    case 'hide':
+      return null;
+    default:
+      throw new Error(`Unknown rule action: ${type}`);
+  }
+}
+
+// Only fetch product tags when a rule actually needs them
+export function rulesUseTags(rules) {
+  return (rules || []).some(rule => rule.enabled !== false && hasValues(rule.conditions?.tags));
+}
+
+// Returns an error message, or null when the rule list is valid
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) return 'rules must be an array';
+
+  const ids = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+    if (rule.id) {
+      if (ids.has(rule.id)) return `${label} has duplicate id "${rule.id}"`;
+      ids.add(rule.id);
+    }
+
+    const { type, amount, percent } = rule.action || {};
+    if (!ACTION_TYPES.includes(type)) {
+      return `${label}.action.type must be one of ${ACTION_TYPES.join(', ')}`;
+    }
+    if (type === 'fixed' && !isNonNegativeNumber(amount)) {
+      return `${label}.action.amount must be a non-negative number of cents`;
+    }
+    if (type === 'percent' && !isNonNegativeNumber(percent)) {
+      return `${label}.action.percent must be a non-negative number`;
+    }
+
+    const c = rule.conditions || {};
+    if (c.buckets && (!Array.isArray(c.buckets) || c.buckets.some(b => !BUCKETS.includes(b)))) {
+      return `${label}.conditions.buckets may only contain ${BUCKETS.join(', ')}`;
+    }
+    for (const key of ['provinces', 'zipPrefixes', 'tags']) {
+      if (c[key] !== undefined && !isStringList(c[key])) return `${label}.conditions.${key} must be a list of strings`;
+    }
+    for (const key of ['minSubtotal', 'maxSubtotal', 'minItems', 'maxItems']) {
+      if (c[key] != null && !isNonNegativeNumber(c[key])) {
+        return `${label}.conditions.${key} must be a non-negative number`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Fill in ids so the admin UI can reorder / delete rules reliably
+export function normalizeRules(rules) {
+  return rules.map((rule, index) => ({
+    ...rule,
+    id: rule.id || `rule-${Date.now().toString(36)}-${index}`,
+    enabled: rule.enabled !== false,
+    conditions: rule.conditions || {}
+  }));
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+}
+
+function hasValues(list) {
+  return Array.isArray(list) && list.length > 0;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,218 @@
+import { BUILT_IN_PROMOTION_ID, promotionIds } from './promotions.js';
+
+// Scheduled changes evaluated at request time, so nobody has to be awake at
+// midnight to flip a toggle for a drop:
+//
+//   kill-switch - killSwitch is on for the window
+//   promotion   - promotions are on (optionally with their own flatRate); with a
+//                 promotionId, only that promotion is switched on / repriced, and
+//                 the others stay off unless promotions are already on
+//   threshold   - temporary threshold / feeUnderThreshold, e.g. free over $25
+//                 for Black Friday (zones with their own threshold keep it)
+//
+// start / end are local times ("2026-11-27T00:00") in the window's timezone
+// (an IANA name, UTC when left out), or ISO timestamps with an offset. end is
+// exclusive. When threshold windows overlap, the one that started last wins.
+//
+// appConfig.schedule = [{ id, name, type: "threshold", start: "2026-11-27T00:00",
+//   end: "2026-12-01T00:00", timezone: "America/New_York", threshold: 2500 }]
+
+export const WINDOW_TYPES = ['kill-switch', 'promotion', 'threshold'];
+
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const WITH_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+export function isTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ms)).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Timestamp (ms) for a window boundary, or NaN when it can't be read
+export function parseWindowTime(value, timeZone = 'UTC') {
+  if (typeof value !== 'string') return NaN;
+  if (WITH_OFFSET.test(value)) return Date.parse(value);
+
+  const match = LOCAL_TIME.exec(value);
+  if (!match || !isTimeZone(timeZone)) return NaN;
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(part => part === undefined ? undefined : Number(part));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Check the offset again at the result, for times next to a DST change
+  const guess = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(guess, timeZone);
+}
+
+function bounds(window) {
+  return {
+    startsAt: parseWindowTime(window.start, window.timezone),
+    endsAt: parseWindowTime(window.end, window.timezone)
+  };
+}
+
+function isCents(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Returns an error message, or null when the schedule is valid. config is the
+// config the schedule will run with, for the promotions a window can target.
+export function validateSchedule(schedule, config = {}) {
+  if (!Array.isArray(schedule)) return 'schedule must be an array';
+
+  const knownPromotions = promotionIds(config.promotions);
+  const ids = new Set();
+  for (const [index, window] of schedule.entries()) {
+    const label = `schedule[${index}]`;
+    if (!window || typeof window !== 'object') return `${label} must be an object`;
+    if (window.id) {
+      if (ids.has(window.id)) return `${label} has duplicate id "${window.id}"`;
+      ids.add(window.id);
+    }
+    if (!WINDOW_TYPES.includes(window.type)) {
+      return `${label}.type must be one of ${WINDOW_TYPES.join(', ')}`;
+    }
+    if (window.timezone !== undefined && !isTimeZone(window.timezone)) {
+      return `${label}.timezone must be an IANA time zone such as America/New_York`;
+    }
+
+    const { startsAt, endsAt } = bounds(window);
+    if (Number.isNaN(startsAt)) return `${label}.start must be a local time (YYYY-MM-DDTHH:mm) or an ISO timestamp`;
+    if (Number.isNaN(endsAt)) return `${label}.end must be a local time (YYYY-MM-DDTHH:mm) or an ISO timestamp`;
+    if (endsAt <= startsAt) return `${label}.end must be after start`;
+
+    if (window.type === 'threshold') {
+      if (window.threshold === undefined && window.feeUnderThreshold === undefined) {
+        return `${label} needs a threshold or feeUnderThreshold`;
+      }
+      for (const key of ['threshold', 'feeUnderThreshold']) {
+        if (window[key] !== undefined && !isCents(window[key])) {
+          return `${label}.${key} must be a non-negative whole number of cents`;
+        }
+      }
+    }
+    if (window.type === 'promotion') {
+      if (window.flatRate !== undefined && !isCents(window.flatRate)) {
+        return `${label}.flatRate must be a non-negative whole number of cents`;
+      }
+      if (window.promotionId !== undefined && (typeof window.promotionId !== 'string' || !window.promotionId)) {
+        return `${label}.promotionId must be a promotion id`;
+      }
+      if (window.promotionId !== undefined && !knownPromotions.includes(window.promotionId)) {
+        return `${label}.promotionId "${window.promotionId}" is not one of ${knownPromotions.join(', ')}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Ids for new windows, sorted by start
+export function normalizeSchedule(schedule) {
+  return schedule
+    .map((window, index) => ({
+      ...window,
+      id: window.id || `window-${Date.now().toString(36)}-${index}`,
+      timezone: window.timezone || 'UTC',
+      enabled: window.enabled !== false
+    }))
+    .sort((a, b) => bounds(a).startsAt - bounds(b).startsAt);
+}
+
+function isActive(window, now) {
+  if (window.enabled === false) return false;
+  const { startsAt, endsAt } = bounds(window);
+  return startsAt <= now && now < endsAt;
+}
+
+// The config /rates should use at `now`: config itself when nothing is
+// scheduled, otherwise a copy with every active window applied.
+// Scheduled amounts replace the per-currency pinned amounts for the same key.
+export function applySchedule(config, now = Date.now()) {
+  const active = (config.schedule || [])
+    .filter(window => isActive(window, now))
+    .sort((a, b) => bounds(a).startsAt - bounds(b).startsAt);
+  if (active.length === 0) {
+    return { config, active };
+  }
+
+  const effective = structuredClone(config);
+  const unpin = (key) => {
+    for (const overrides of Object.values(effective.currencies || {})) {
+      delete overrides[key];
+    }
+  };
+  let allPromotions = config.promotion?.enabled === true;
+  const targeted = new Set(); // promotions switched on by a promotionId window
+
+  for (const window of active) {
+    if (window.type === 'kill-switch') {
+      effective.killSwitch = true;
+    } else if (window.type === 'promotion') {
+      const promotion = window.promotionId && effective.promotions?.find(({ id }) => id === window.promotionId);
+      if (promotion) {
+        targeted.add(promotion.id);
+        promotion.enabled = true;
+        if (window.flatRate !== undefined) promotion.flatRate = window.flatRate;
+      } else if (!window.promotionId || (window.promotionId === BUILT_IN_PROMOTION_ID && !effective.promotions?.length)) {
+        allPromotions = true;
+        effective.promotion = { ...effective.promotion, enabled: true };
+        if (window.flatRate !== undefined) {
+          effective.promotion.flatRate = window.flatRate;
+          unpin('promoFlatRate');
+        }
+      }
+    } else if (window.type === 'threshold') {
+      for (const key of ['threshold', 'feeUnderThreshold']) {
+        if (window[key] !== undefined) {
+          effective[key] = window[key];
+          unpin(key);
+        }
+      }
+    }
+  }
+
+  // A targeted window turns on its own promotion, not every configured one
+  if (targeted.size > 0 && !allPromotions) {
+    effective.promotion = { ...effective.promotion, enabled: true };
+    for (const promotion of effective.promotions) {
+      if (!targeted.has(promotion.id)) promotion.enabled = false;
+    }
+  }
+  return { config: effective, active };
+}
+
+// Every window with its UTC start / end and whether it is active, upcoming,
+// ended or disabled at `now`, in start order
+export function describeSchedule(schedule = [], now = Date.now()) {
+  return schedule
+    .map(window => {
+      const { startsAt, endsAt } = bounds(window);
+      let status;
+      if (window.enabled === false) status = 'disabled';
+      else if (now < startsAt) status = 'upcoming';
+      else if (now < endsAt) status = 'active';
+      else status = 'ended';
+      return {
+        ...window,
+        starts_at: new Date(startsAt).toISOString(),
+        ends_at: new Date(endsAt).toISOString(),
+        status
+      };
+    })
+    .sort((a, b) => Date.parse(a.starts_at) - Date.parse(b.starts_at));
+}
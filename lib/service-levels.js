@@ -0,0 +1,152 @@
+// Extra service levels per bucket (expedited, overnight, ...), offered next to
+// the standard RTS_STD / PO_STD rate whenever the bucket has items.
+//
+// appConfig.serviceLevels = {
+//   rts: [{
+//     id: "expedited", name: "Expedited", serviceCode: "RTS_EXPEDITED", enabled: true,
+//     description: "2-3 business days",
+//     price: { base: 1200, perItem: 100, perKg: 200 }, // cents, base currency; perKg per started kg
+//     threshold: null,          // free at this combined subtotal (cents), "standard" for the
+//                               // bucket's own threshold, or null to never be free
+//     delivery: { handlingDays: 0, minTransitDays: 1, maxTransitDays: 2 }, // over appConfig.delivery.rts
+//     allDestinations: false    // also offer it in shipping zones and international tables
+//   }],
+//   po: []
+// }
+//
+// Levels follow the standard rate: when a rule hides the standard rate, the
+// bucket's levels are hidden too.
+
+export const BUCKETS = ['rts', 'po'];
+const STANDARD_CODES = ['RTS_STD', 'PO_STD'];
+const PRICE_KEYS = ['base', 'perItem', 'perKg'];
+const DELIVERY_KEYS = ['handlingDays', 'minTransitDays', 'maxTransitDays'];
+
+// Enabled levels for a bucket; zone / country table destinations only get the
+// ones marked allDestinations
+export function levelsFor(serviceLevels, bucket, { zoned = false } = {}) {
+  return (serviceLevels?.[bucket] || []).filter(level =>
+    level.enabled !== false && (!zoned || level.allDestinations)
+  );
+}
+
+// Price in cents (request currency). stats are the bucket's combined subtotal
+// (request currency) and weight, and this group's item count; profile carries
+// the bucket's localized threshold for threshold: "standard".
+export function priceServiceLevel(level, { combinedSubtotal, combinedGrams, itemCount }, profile, money) {
+  const threshold = level.threshold === 'standard'
+    ? profile.threshold
+    : level.threshold == null ? null : money.convert(level.threshold);
+  if (threshold !== null && combinedSubtotal >= threshold) {
+    return { price: 0, free: true };
+  }
+
+  const { base = 0, perItem = 0, perKg = 0 } = level.price || {};
+  const kilos = Math.ceil((combinedGrams || 0) / 1000);
+  return { price: Math.round(money.convert(base + perItem * itemCount + perKg * kilos)), free: false };
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function slug(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function serviceCodeFor(bucket, id) {
+  return `${bucket.toUpperCase()}_${id.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+// Returns an error message, or null when the levels are valid. config is the
+// config the levels will run with: buckets left out of the update keep their
+// saved levels (and service codes), and level delivery times apply over
+// config.delivery.
+export function validateServiceLevels(serviceLevels, config = {}) {
+  if (!serviceLevels || typeof serviceLevels !== 'object' || Array.isArray(serviceLevels)) {
+    return 'serviceLevels must be an object keyed by bucket';
+  }
+
+  const codes = new Set(STANDARD_CODES);
+  for (const bucket of BUCKETS.filter(bucket => serviceLevels[bucket] === undefined)) {
+    for (const level of config.serviceLevels?.[bucket] || []) {
+      if (level.serviceCode) codes.add(level.serviceCode);
+    }
+  }
+
+  for (const [bucket, levels] of Object.entries(serviceLevels)) {
+    if (!BUCKETS.includes(bucket)) return `serviceLevels.${bucket} is not a bucket (rts, po)`;
+    if (!Array.isArray(levels)) return `serviceLevels.${bucket} must be an array`;
+
+    const ids = new Set();
+    for (const [index, level] of levels.entries()) {
+      const label = `serviceLevels.${bucket}[${index}]`;
+      if (!level || typeof level !== 'object') return `${label} must be an object`;
+      if (!level.id && !level.name) return `${label} needs an id or name`;
+      const id = level.id || slug(level.name);
+      if (ids.has(id)) return `${label} has duplicate id "${id}"`;
+      ids.add(id);
+
+      if (level.serviceCode !== undefined && (typeof level.serviceCode !== 'string' || !/^[A-Z0-9_]+$/.test(level.serviceCode))) {
+        return `${label}.serviceCode may only contain A-Z, 0-9 and _`;
+      }
+      const serviceCode = level.serviceCode || (id && serviceCodeFor(bucket, id));
+      if (serviceCode) {
+        if (codes.has(serviceCode)) return `${label}.serviceCode "${serviceCode}" is already used`;
+        codes.add(serviceCode);
+      }
+
+      const price = level.price;
+      if (!price || typeof price !== 'object' || Array.isArray(price)) return `${label}.price must be an object`;
+      for (const key of PRICE_KEYS) {
+        if (price[key] !== undefined && !isNonNegativeNumber(price[key])) {
+          return `${label}.price.${key} must be a non-negative number of cents`;
+        }
+      }
+
+      const { threshold } = level;
+      if (threshold != null && threshold !== 'standard' && !(Number.isInteger(threshold) && threshold >= 0)) {
+        return `${label}.threshold must be cents, "standard" or null`;
+      }
+
+      if (level.delivery !== undefined) {
+        if (!level.delivery || typeof level.delivery !== 'object') return `${label}.delivery must be an object`;
+        for (const key of DELIVERY_KEYS) {
+          const days = level.delivery[key];
+          if (days !== undefined && !(Number.isInteger(days) && days >= 0)) {
+            return `${label}.delivery.${key} must be a whole number of days`;
+          }
+        }
+        const transit = { ...config.delivery?.[bucket], ...level.delivery };
+        if (transit.minTransitDays > transit.maxTransitDays) {
+          return `${label}.delivery.minTransitDays can't be more than maxTransitDays`;
+        }
+      }
+      for (const key of ['name', 'description']) {
+        if (level[key] !== undefined && typeof level[key] !== 'string') return `${label}.${key} must be a string`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Ids, service codes and defaults for each bucket's levels
+export function normalizeServiceLevels(serviceLevels) {
+  return Object.fromEntries(Object.entries(serviceLevels).map(([bucket, levels]) => [
+    bucket,
+    levels.map((level, index) => {
+      const id = level.id || slug(level.name) || `level-${Date.now().toString(36)}-${index}`;
+      return {
+        ...level,
+        id,
+        name: level.name || id,
+        serviceCode: level.serviceCode || serviceCodeFor(bucket, id),
+        enabled: level.enabled !== false,
+        description: level.description || '',
+        threshold: level.threshold ?? null,
+        allDestinations: level.allDestinations === true
+      };
+    })
+  ]));
+}
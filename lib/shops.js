@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createConfigStore } from './config-store.js';
+import { namespaceCache } from './cache.js';
+import { createQuoteLog, QUOTE_LOG_FILE } from './quote-log.js';
+
+// Per-shop state for running several storefronts from one deployment.
+// Each shop gets its own live config (with version history), a cache namespace
+// and its access token. The env shop (SHOPIFY_SHOP_DOMAIN) keeps working as the
+// default: its config stays in DATA_DIR and SHOPIFY_ACCESS_TOKEN is used until
+// it goes through OAuth.
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Lowercased *.myshopify.com domain, or null when it isn't one
+export function normalizeShopDomain(value) {
+  if (typeof value !== 'string') return null;
+  const domain = value.trim().toLowerCase();
+  return SHOP_DOMAIN.test(domain) ? domain : null;
+}
+
+// Saved config over the defaults, keeping default keys for any section the
+// saved config doesn't have yet
+export function mergeConfig(defaults, saved) {
+  const merged = structuredClone(defaults);
+  for (const [key, value] of Object.entries(saved || {})) {
+    const base = defaults[key];
+    const isSection = base && typeof base === 'object' && !Array.isArray(base) &&
+      value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isSection ? { ...structuredClone(base), ...value } : value;
+  }
+  return merged;
+}
+
+export function createShopRegistry({ dataDir, defaultConfig, cache, tokenStore, defaultShop = null, defaultAccessToken = null }) {
+  const contexts = new Map();
+
+  function shopDir(domain) {
+    return domain === defaultShop ? dataDir : path.join(dataDir, 'shops', domain);
+  }
+
+  async function createContext(domain, installed) {
+    const configStore = createConfigStore({ dir: shopDir(domain) });
+
+    const shop = {
+      domain,
+      accessToken: installed?.accessToken || defaultAccessToken,
+      config: structuredClone(defaultConfig),
+      configStore,
+      // Audit log of /rates quotes, with the retention in config.quoteLog
+      quoteLog: createQuoteLog({ dir: shopDir(domain), settings: () => shop.config.quoteLog }),
+      cache: namespaceCache(cache, `${domain}:`),
+      // Most recent cross-location aggregations (exposed at /cross-location/traces)
+      crossLocationTraces: [],
+      // Replace config in place (handlers may hold a reference to it)
+      replaceConfig(saved) {
+        for (const key of Object.keys(shop.config)) {
+          delete shop.config[key];
+        }
+        Object.assign(shop.config, mergeConfig(defaultConfig, saved));
+      }
+    };
+
+    try {
+      const savedConfig = await configStore.load();
+      if (savedConfig) {
+        shop.replaceConfig(savedConfig);
+        console.log(`${domain}: loaded config version ${await configStore.currentVersion()} from ${configStore.filePath}`);
+      } else {
+        console.log(`${domain}: no saved config found - using defaults`);
+      }
+    } catch (error) {
+      console.error(`${domain}: error loading saved config - using defaults:`, error);
+    }
+
+    return shop;
+  }
+
+  // Shop context, or null when the shop isn't installed
+  function resolve(value) {
+    const domain = normalizeShopDomain(value);
+    if (!domain) return Promise.resolve(null);
+
+    if (!contexts.has(domain)) {
+      const loading = tokenStore.get(domain).then(installed => {
+        if (!installed && domain !== defaultShop) return null;
+        return createContext(domain, installed);
+      });
+      contexts.set(domain, loading);
+      // Don't remember misses or failures, so a later install is picked up
+      loading.then(shop => {
+        if (!shop) contexts.delete(domain);
+      }, () => contexts.delete(domain));
+    }
+    return contexts.get(domain);
+  }
+
+  // Drop a loaded shop so the next request reloads its token and config
+  function forget(value) {
+    contexts.delete(normalizeShopDomain(value));
+  }
+
+  // Remove everything kept for a shop (on app/uninstalled): its token, cached
+  // entries, quote log and config history. The env shop's config lives in
+  // DATA_DIR itself and is kept.
+  async function purge(value) {
+    const domain = normalizeShopDomain(value);
+    if (!domain) return null;
+
+    const tokenRemoved = await tokenStore.remove(domain);
+    const shopCache = namespaceCache(cache, `${domain}:`);
+    const keys = await shopCache.keys('*');
+    await Promise.all(keys.map(key => shopCache.del(key)));
+
+    const configRemoved = domain !== defaultShop;
+    if (configRemoved) {
+      await fs.rm(shopDir(domain), { recursive: true, force: true });
+    } else {
+      await fs.rm(path.join(dataDir, QUOTE_LOG_FILE), { force: true });
+    }
+
+    contexts.delete(domain);
+    return { shop: domain, tokenRemoved, cacheEntriesRemoved: keys.length, configRemoved };
+  }
+
+  async function list() {
+    const installed = await tokenStore.list();
+    const shops = installed.map(entry => ({ ...entry, source: 'oauth' }));
+    if (defaultShop && !shops.some(entry => entry.shop === defaultShop)) {
+      shops.unshift({ shop: defaultShop, scope: null, installedAt: null, updatedAt: null, source: 'env' });
+    }
+    return shops;
+  }
+
+  return { resolve, forget, purge, list, defaultShop };
+}
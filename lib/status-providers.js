@@ -0,0 +1,154 @@
+import { parseShipDate } from './delivery.js';
+
+// Pre-order status providers, tried in order as a fallback chain.
+// Each provider answers true / false for a variant, or null when it can't tell;
+// variants left unknown are passed on to the next provider. A provider that
+// knows when a pre-order ships answers { isPreOrder, shipDate } instead
+// (YYYY-MM-DD, used for delivery estimates - see lib/delivery.js).
+//
+// Provider shapes:
+//   { type: "batchy" }                                              // Batchy variant-status API
+//   { type: "metafield", namespace: "preproduct", key: "is_preorder" } // variant metafield "true" / "false"
+//   { type: "metafield", ..., shipDateKey: "preproduct.ship_date" } // plus a ship date metafield
+//   { type: "inventory" }                                           // out of stock but still sellable
+//   { type: "tag", tag: "preorder" }                                // product has the tag (else not pre-order)
+//
+// batchy is looked up per variant; the other providers read the variant details
+// fetched from Shopify in one query.
+
+export const PROVIDER_TYPES = ['batchy', 'metafield', 'inventory', 'tag'];
+
+export const DEFAULT_METAFIELD = { namespace: 'preproduct', key: 'is_preorder' };
+export const DEFAULT_TAG = 'preorder';
+
+// Metafield value "true" / "false"; missing or anything else is unknown.
+// With shipDateKey, pre-orders carry that metafield's date as shipDate.
+export function statusFromMetafield(details, provider) {
+  const value = details?.metafields?.[metafieldKey(provider)];
+  if (value == null) return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'true') {
+    const shipDate = provider.shipDateKey ? parseShipDate(details.metafields[provider.shipDateKey]) : null;
+    return shipDate ? { isPreOrder: true, shipDate } : true;
+  }
+  if (normalized === 'false') return false;
+  return null;
+}
+
+// Pre-order = nothing on hand but the variant keeps selling (inventory policy CONTINUE).
+// Untracked inventory says nothing about pre-orders.
+export function statusFromInventory(details) {
+  if (!details || details.tracked === false || typeof details.inventoryQuantity !== 'number') return null;
+  return details.inventoryQuantity <= 0 && details.inventoryPolicy === 'CONTINUE';
+}
+
+export function statusFromTag(details, provider) {
+  if (!details?.tags) return null;
+  const tag = (provider.tag || DEFAULT_TAG).toLowerCase();
+  return details.tags.some(productTag => productTag.toLowerCase() === tag);
+}
+
+const DETAIL_PROVIDERS = {
+  metafield: statusFromMetafield,
+  inventory: statusFromInventory,
+  tag: statusFromTag
+};
+
+export function metafieldKey(provider) {
+  return `${provider.namespace || DEFAULT_METAFIELD.namespace}.${provider.key || DEFAULT_METAFIELD.key}`;
+}
+
+// Which Shopify variant details the chain needs, so the lookup only asks for those
+export function requiredDetails(providers) {
+  return {
+    metafields: [...new Set(providers.filter(p => p.type === 'metafield').flatMap(p => [metafieldKey(p), p.shipDateKey].filter(Boolean)))],
+    inventory: providers.some(p => p.type === 'inventory'),
+    tags: providers.some(p => p.type === 'tag')
+  };
+}
+
+// Resolve statuses through the provider chain.
+//   batchy(variantIds)         → Map variantId → true / false / null / { isPreOrder, shipDate }
+//   variantDetails(variantIds) → Map variantId → { metafields, inventoryQuantity, inventoryPolicy, tracked, tags }
+// Variant details are fetched at most once. A provider that throws leaves its
+// variants unknown for the next one.
+// Returns variantId → { isPreOrder, provider } (isPreOrder null when no provider knew),
+// plus shipDate when the provider reported one.
+export async function resolveWithProviders(providers, variantIds, { batchy, variantDetails }) {
+  const results = new Map(variantIds.map(variantId => [variantId, { isPreOrder: null, provider: null }]));
+  let details = null;
+
+  for (const provider of providers) {
+    const pending = variantIds.filter(variantId => results.get(variantId).isPreOrder === null);
+    if (pending.length === 0) break;
+
+    let statuses;
+    try {
+      if (provider.type === 'batchy') {
+        statuses = await batchy(pending);
+      } else {
+        details ??= await variantDetails(pending);
+        statuses = new Map(pending.map(variantId => [
+          variantId,
+          DETAIL_PROVIDERS[provider.type](details.get(variantId), provider)
+        ]));
+      }
+    } catch (error) {
+      console.error(`Pre-order status provider ${provider.type} failed:`, error);
+      continue;
+    }
+
+    for (const variantId of pending) {
+      const answer = statuses.get(variantId) ?? null;
+      const isPreOrder = typeof answer === 'object' && answer !== null ? answer.isPreOrder ?? null : answer;
+      if (isPreOrder !== null) {
+        const shipDate = parseShipDate(answer?.shipDate);
+        results.set(variantId, { isPreOrder, provider: provider.type, ...(isPreOrder && shipDate && { shipDate }) });
+      }
+    }
+  }
+
+  return results;
+}
+
+// Returns an error message, or null when the provider chain is valid
+export function validateStatusProviders(providers) {
+  if (!Array.isArray(providers)) return 'statusProviders must be an array';
+  if (providers.length === 0) return 'statusProviders needs at least one provider';
+
+  for (const [index, provider] of providers.entries()) {
+    const label = `statusProviders[${index}]`;
+    if (!provider || typeof provider !== 'object') return `${label} must be an object`;
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      return `${label}.type must be one of ${PROVIDER_TYPES.join(', ')}`;
+    }
+    for (const key of ['namespace', 'key', 'tag']) {
+      if (provider[key] !== undefined && !(typeof provider[key] === 'string' && provider[key].trim())) {
+        return `${label}.${key} must be a non-empty string`;
+      }
+    }
+    if (provider.shipDateKey !== undefined && !(typeof provider.shipDateKey === 'string' && /^[^.\s]+\.[^.\s]+$/.test(provider.shipDateKey.trim()))) {
+      return `${label}.shipDateKey must be a metafield as namespace.key`;
+    }
+  }
+
+  return null;
+}
+
+// Fill in defaults so the saved config shows exactly what is being read
+export function normalizeStatusProviders(providers) {
+  return providers.map(provider => {
+    if (provider.type === 'metafield') {
+      return {
+        type: 'metafield',
+        namespace: (provider.namespace || DEFAULT_METAFIELD.namespace).trim(),
+        key: (provider.key || DEFAULT_METAFIELD.key).trim(),
+        ...(provider.shipDateKey && { shipDateKey: provider.shipDateKey.trim() })
+      };
+    }
+    if (provider.type === 'tag') {
+      return { type: 'tag', tag: (provider.tag || DEFAULT_TAG).trim().toLowerCase() };
+    }
+    return { type: provider.type };
+  });
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Shopify access tokens per shop, encrypted at rest with AES-256-GCM.
+// The key is derived from TOKEN_ENCRYPTION_KEY; without it tokens can't be
+// stored or read, rather than silently falling back to plain text.
+export function createTokenStore({ dir, fileName = 'shops.json', secret }) {
+  const filePath = path.join(dir, fileName);
+  const key = secret ? crypto.createHash('sha256').update(secret).digest() : null;
+  let data = null;
+  // Serialize writes so concurrent installs don't drop each other's tokens
+  let writeQueue = Promise.resolve();
+
+  function requireKey() {
+    if (!key) {
+      throw new Error('TOKEN_ENCRYPTION_KEY is not set - cannot store or read shop access tokens');
+    }
+    return key;
+  }
+
+  function encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', requireKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    };
+  }
+
+  function decrypt({ iv, tag, data: encrypted }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', requireKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  async function readShops() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = { shops: {} };
+    }
+    return data;
+  }
+
+  async function writeShops() {
+    await fs.mkdir(dir, { recursive: true });
+    // Write to a temp file and rename so a crash mid-write can't corrupt the store
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function enqueue(fn) {
+    const run = writeQueue.then(fn);
+    // Keep the queue alive even if this write fails
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  function summarize(shop, entry) {
+    return { shop, scope: entry.scope, installedAt: entry.installedAt, updatedAt: entry.updatedAt };
+  }
+
+  // { shop, accessToken, scope, installedAt, updatedAt } or null
+  async function get(shop) {
+    const entry = (await readShops()).shops[shop];
+    if (!entry) return null;
+    return { ...summarize(shop, entry), accessToken: decrypt(entry.token) };
+  }
+
+  function save(shop, { accessToken, scope }) {
+    return enqueue(async () => {
+      const shops = (await readShops()).shops;
+      const now = new Date().toISOString();
+      shops[shop] = {
+        token: encrypt(accessToken),
+        scope: scope || null,
+        installedAt: shops[shop]?.installedAt || now,
+        updatedAt: now
+      };
+      await writeShops();
+      return summarize(shop, shops[shop]);
+    });
+  }
+
+  function remove(shop) {
+    return enqueue(async () => {
+      const shops = (await readShops()).shops;
+      if (!shops[shop]) return false;
+      delete shops[shop];
+      await writeShops();
+      return true;
+    });
+  }
+
+  // Installed shops without their tokens
+  async function list() {
+    const { shops } = await readShops();
+    return Object.entries(shops).map(([shop, entry]) => summarize(shop, entry));
+  }
+
+  return { get, save, remove, list, filePath };
+}
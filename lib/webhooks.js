@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// Shopify webhooks: the topics the app subscribes to, HMAC verification shared
+// by every webhook route, and a delivery log so retried deliveries (same
+// X-Shopify-Webhook-Id) are only handled once.
+
+// Topic → route the subscription points at
+export const WEBHOOK_TOPICS = {
+  'products/update': '/webhook/product-update',
+  'products/delete': '/webhook/product-delete',
+  'inventory_levels/update': '/webhook/inventory-update',
+  'app/uninstalled': '/webhook/app-uninstalled'
+};
+
+// Shopify retries failed deliveries for up to 48 hours
+export const DELIVERY_TTL_SECONDS = 48 * 3600;
+
+// True when hmacHeader is the base64 HMAC-SHA256 of the raw body.
+// Without a secret verification is skipped (development only).
+export function verifyWebhook(data, hmacHeader, secret) {
+  if (!secret) {
+    console.warn('SHOPIFY_WEBHOOK_SECRET not set - webhook verification disabled');
+    return true;
+  }
+  if (typeof hmacHeader !== 'string' || !hmacHeader) {
+    return false;
+  }
+
+  const calculated = crypto
+    .createHmac('sha256', secret)
+    .update(data, 'utf8')
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === calculated.length && crypto.timingSafeEqual(calculated, received);
+}
+
+// Deliveries handled per shop, kept in the shared cache so a retry landing on
+// another instance is still recognised. Only successful deliveries are
+// recorded: a failed one is handled again when Shopify retries it.
+export function createDeliveryLog(cache, { ttlSeconds = DELIVERY_TTL_SECONDS } = {}) {
+  const key = (shop, webhookId) => `webhook_delivery:${shop}:${webhookId}`;
+
+  return {
+    async seen(shop, webhookId) {
+      return (await cache.get(key(shop, webhookId))) !== null;
+    },
+
+    async record(shop, webhookId, topic) {
+      await cache.set(key(shop, webhookId), { topic, at: new Date().toISOString() }, ttlSeconds);
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Weight-based fee tiers per bucket.
+// When a bucket has tiers, the tier matching the bucket's total weight replaces
+// feeUnderThreshold. The free-shipping threshold still applies unless the tier
+// sets freeOverThreshold: false (e.g. heavy items that always pay shipping).
+//
+// appConfig.weightTiers = {
+//   rts: [
+//     { maxGrams: 1000, price: 500 },                          // 0-1 kg
+//     { maxGrams: 5000, price: 900 },                          // 1-5 kg
+//     { maxGrams: null, price: 1500, freeOverThreshold: false } // 5+ kg
+//   ],
+//   po: []
+// }
+
+// Tier for a total weight: the first tier (by ascending maxGrams) the weight fits in.
+// Weights above every capped tier use the heaviest tier.
+export function findWeightTier(tiers, grams) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return null;
+
+  const sorted = sortTiers(tiers);
+  return sorted.find(tier => tier.maxGrams == null || grams <= tier.maxGrams) || sorted[sorted.length - 1];
+}
+
+export function sortTiers(tiers) {
+  return [...tiers].sort((a, b) => {
+    if (a.maxGrams == null) return 1;
+    if (b.maxGrams == null) return -1;
+    return a.maxGrams - b.maxGrams;
+  });
+}
+
+// Returns an error message, or null when the tier table is valid
+export function validateWeightTiers(weightTiers) {
+  if (!weightTiers || typeof weightTiers !== 'object' || Array.isArray(weightTiers)) {
+    return 'weightTiers must be an object keyed by bucket';
+  }
+
+  for (const [bucket, tiers] of Object.entries(weightTiers)) {
+    if (!['rts', 'po'].includes(bucket)) return `weightTiers.${bucket} is not a bucket (rts, po)`;
+    if (!Array.isArray(tiers)) return `weightTiers.${bucket} must be an array`;
+
+    let uncapped = 0;
+    for (const [index, tier] of tiers.entries()) {
+      const label = `weightTiers.${bucket}[${index}]`;
+      if (!tier || typeof tier !== 'object') return `${label} must be an object`;
+      if (!isNonNegativeNumber(tier.price)) return `${label}.price must be a non-negative number of cents`;
+      if (tier.maxGrams == null) {
+        uncapped++;
+      } else if (!isNonNegativeNumber(tier.maxGrams)) {
+        return `${label}.maxGrams must be a non-negative number or null`;
+      }
+    }
+    if (uncapped > 1) return `weightTiers.${bucket} can only have one open-ended tier`;
+  }
+
+  return null;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
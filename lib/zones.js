@@ -0,0 +1,185 @@
+// Domestic shipping zones: Alaska / Hawaii, US territories and military (APO/FPO/DPO)
+// addresses can each get their own threshold, fee and labels.
+//
+// Zone shape:
+// {
+//   id: "ak-hi",
+//   name: "Alaska & Hawaii",
+//   enabled: true,
+//   match: {
+//     countries: ["PR", "GU"],   // US territories (Shopify sends these as their own country code)
+//     provinces: ["AK", "HI"],   // destination province codes
+//     zipPrefixes: ["995"],      // destination postal code prefixes
+//     military: true             // APO / FPO / DPO city, or AA / AE / AP state
+//   },
+//   split: true,                 // false = defer to Shopify native rates for this zone
+//   threshold: 7500,             // optional overrides, inherit appConfig when omitted
+//   feeUnderThreshold: 1200,
+//   labels: { rts: "...", po: "..." },
+//   descriptions: { rts: "...", po: "..." }
+// }
+
+export const US_TERRITORIES = ['PR', 'GU', 'VI', 'AS', 'MP', 'UM'];
+export const MILITARY_CITIES = ['APO', 'FPO', 'DPO'];
+export const MILITARY_STATES = ['AA', 'AE', 'AP'];
+
+export function destinationCountry(destination) {
+  return (destination?.country || destination?.country_code || '').toUpperCase();
+}
+
+export function isMilitaryAddress(destination) {
+  const city = (destination?.city || '').trim().toUpperCase();
+  const province = (destination?.province || '').trim().toUpperCase();
+  return MILITARY_CITIES.includes(city) || MILITARY_STATES.includes(province);
+}
+
+// First enabled zone matching the destination, or null
+export function findZone(zones, destination) {
+  for (const zone of zones || []) {
+    if (zone.enabled === false) continue;
+    if (zoneMatches(zone, destination || {})) return zone;
+  }
+  return null;
+}
+
+// A zone matches when ANY of its criteria match. Province / ZIP / military
+// criteria only apply to US destinations; territories match by country.
+export function zoneMatches(zone, destination) {
+  const m = zone.match || {};
+  const country = destinationCountry(destination) || 'US';
+  const province = (destination.province || '').toUpperCase();
+  const zip = (destination.postal_code || destination.zip || '').replace(/\s+/g, '');
+
+  if ((m.countries || []).some(c => c.toUpperCase() === country)) return true;
+  if (country !== 'US') return false;
+
+  if ((m.provinces || []).some(p => p.toUpperCase() === province)) return true;
+  if ((m.zipPrefixes || []).some(prefix => zip.startsWith(prefix.replace(/\s+/g, '')))) return true;
+  if (m.military && isMilitaryAddress(destination)) return true;
+
+  return false;
+}
+
+// International rate tables (opt-in). Countries without a table keep falling
+// back to Shopify native rates.
+//
+// appConfig.international = {
+//   enabled: true,
+//   tables: [
+//     { id: "canada", name: "Canada", countries: ["CA"], threshold: 10000, feeUnderThreshold: 1500,
+//       labels: { rts: "Ships Now (International)" } },
+//     { id: "eu", name: "EU", countries: ["DE", "FR", "NL"], feeUnderThreshold: 2500 }
+//   ]
+// }
+export function findCountryTable(international, destination) {
+  if (!international?.enabled) return null;
+
+  const country = destinationCountry(destination);
+  if (!country || country === 'US') return null;
+
+  return (international.tables || []).find(table =>
+    table.enabled !== false && (table.countries || []).some(c => c.toUpperCase() === country)
+  ) || null;
+}
+
+// Returns an error message, or null when the international settings are valid
+export function validateInternational(international) {
+  if (!international || typeof international !== 'object' || Array.isArray(international)) {
+    return 'international must be an object';
+  }
+  if (international.tables === undefined) return null;
+  if (!Array.isArray(international.tables)) return 'international.tables must be an array';
+
+  for (const [index, table] of international.tables.entries()) {
+    const label = `international.tables[${index}]`;
+    if (!table || typeof table !== 'object') return `${label} must be an object`;
+    if (!table.id && !table.name) return `${label} needs an id or name`;
+    if (!Array.isArray(table.countries) || table.countries.length === 0) {
+      return `${label}.countries must list at least one country code`;
+    }
+    const badCountry = table.countries.find(c => !/^[A-Z]{2}$/i.test(c) || c.toUpperCase() === 'US');
+    if (badCountry) return `${label}.countries has an invalid country code: ${badCountry}`;
+
+    for (const key of ['threshold', 'feeUnderThreshold']) {
+      if (table[key] != null && !(typeof table[key] === 'number' && table[key] >= 0)) {
+        return `${label}.${key} must be a non-negative number of cents`;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function normalizeInternational(international) {
+  return {
+    ...international,
+    enabled: international.enabled === true,
+    tables: (international.tables || []).map(table => ({
+      ...table,
+      id: table.id || table.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      enabled: table.enabled !== false,
+      countries: table.countries.map(c => c.toUpperCase())
+    }))
+  };
+}
+
+// Threshold, fee and labels for a destination: zone (or international table)
+// overrides on top of the base config
+export function resolvePricingProfile(config, zone) {
+  return {
+    zone: zone ? (zone.id || zone.name) : null,
+    threshold: zone?.threshold ?? config.threshold,
+    feeUnderThreshold: zone?.feeUnderThreshold ?? config.feeUnderThreshold,
+    labels: { ...config.labels, ...stripEmpty(zone?.labels) },
+    descriptions: { ...config.descriptions, ...stripEmpty(zone?.descriptions) }
+  };
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+}
+
+// Returns an error message, or null when the zone list is valid
+export function validateZones(zones) {
+  if (!Array.isArray(zones)) return 'zones must be an array';
+
+  for (const [index, zone] of zones.entries()) {
+    const label = `zones[${index}]`;
+    if (!zone || typeof zone !== 'object') return `${label} must be an object`;
+    if (!zone.id && !zone.name) return `${label} needs an id or name`;
+
+    const m = zone.match || {};
+    for (const key of ['countries', 'provinces', 'zipPrefixes']) {
+      if (m[key] !== undefined && !isStringList(m[key])) return `${label}.match.${key} must be a list of strings`;
+    }
+    const badCountry = (m.countries || []).find(c => !US_TERRITORIES.includes(c.toUpperCase()));
+    if (badCountry) {
+      return `${label}.match.countries may only contain US territories (${US_TERRITORIES.join(', ')}), got ${badCountry}`;
+    }
+    if (!m.countries?.length && !m.provinces?.length && !m.zipPrefixes?.length && !m.military) {
+      return `${label} must match at least one country, province, ZIP prefix or military addresses`;
+    }
+
+    for (const key of ['threshold', 'feeUnderThreshold']) {
+      if (zone[key] != null && !(typeof zone[key] === 'number' && zone[key] >= 0)) {
+        return `${label}.${key} must be a non-negative number of cents`;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function normalizeZones(zones) {
+  return zones.map(zone => ({
+    ...zone,
+    id: zone.id || zone.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    enabled: zone.enabled !== false,
+    split: zone.split !== false,
+    match: zone.match || {}
+  }));
+}
+
+function stripEmpty(values) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([, v]) => v));
+}
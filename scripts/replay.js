@@ -0,0 +1,146 @@
+// Replays recorded /rates payloads against the saved config and a candidate,
+// and prints the quotes that would change (see lib/replay.js).
+//
+//   npm run replay -- <payloads.jsonl> --candidate candidate.json
+//     [--shop store.myshopify.com]  config of this shop instead of the env shop
+//     [--config config.json]        current config from a file instead of DATA_DIR
+//     [--statuses statuses.json]    { "variantId": "po" | "rts" } stubs
+//     [--default-status rts|po]     bucket for variants without a stub (rts)
+//     [--products products.json]    { "productId": { "title", "tags", "product_type", "vendor" } }
+//     [--json]                      print the full report as JSON
+//
+// candidate.json is a partial config in the shape POST /config accepts.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createConfigStore } from '../lib/config-store.js';
+import { mergeConfig, normalizeShopDomain } from '../lib/shops.js';
+import { defaultConfig } from '../lib/default-config.js';
+import { validateConfigUpdate, applyConfigUpdate } from '../lib/config-update.js';
+import { parseReplayInput, replayQuotes, validateStatusStubs, validateProductStubs } from '../lib/replay.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function parseArgs(argv) {
+  const args = { flags: {}, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.flags.json = true;
+    } else if (argv[i].startsWith('--')) {
+      args.flags[argv[i].slice(2)] = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// Saved config of the shop (same layout as lib/shops.js), over the defaults
+async function loadCurrentConfig({ config, shop }) {
+  if (config) {
+    return mergeConfig(defaultConfig, await readJson(config));
+  }
+  const domain = shop ? normalizeShopDomain(shop) : null;
+  if (shop && !domain) {
+    throw new Error(`${shop} is not a *.myshopify.com domain`);
+  }
+  const envShop = normalizeShopDomain(process.env.SHOPIFY_SHOP_DOMAIN);
+  const dir = domain && domain !== envShop ? path.join(DATA_DIR, 'shops', domain) : DATA_DIR;
+  return mergeConfig(defaultConfig, await createConfigStore({ dir }).load());
+}
+
+function money(cents, currency) {
+  return `${currency} ${(cents / 100).toFixed(2)}`;
+}
+
+function describeChange(change) {
+  const { before, after } = change;
+  if (change.change === 'added') return `${change.service_code} added at ${money(Number(after.total_price), after.currency)}`;
+  if (change.change === 'removed') return `${change.service_code} removed (was ${money(Number(before.total_price), before.currency)})`;
+
+  const parts = [];
+  if (change.delta !== 0) {
+    const sign = change.delta > 0 ? '+' : '-';
+    parts.push(`${money(Number(before.total_price), before.currency)} → ${money(Number(after.total_price), after.currency)} (${sign}${(Math.abs(change.delta) / 100).toFixed(2)})`);
+  }
+  for (const field of change.fields.filter(field => field !== 'total_price')) {
+    parts.push(`${field} "${before[field]}" → "${after[field]}"`);
+  }
+  return `${change.service_code} ${parts.join(', ')}`;
+}
+
+function printReport(report, skipped) {
+  for (const quote of report.quotes) {
+    const label = quote.id ? `quote ${quote.id}` : `line ${quote.line}`;
+    const outcome = quote.before.outcome === quote.after.outcome ? '' : ` [${quote.before.outcome} → ${quote.after.outcome}]`;
+    console.log(`${label} (${quote.destination || 'no destination'}, ${quote.items} item(s))${outcome}`);
+    for (const change of quote.changes) {
+      console.log(`  ${describeChange(change)}`);
+    }
+  }
+
+  console.log('');
+  console.log(`Replayed ${report.replayed}: ${report.changed} changed, ${report.unchanged} unchanged`);
+  for (const [currency, delta] of Object.entries(report.total_delta)) {
+    console.log(`Net price change: ${delta < 0 ? '-' : '+'}${money(Math.abs(delta), currency)}`);
+  }
+  if (skipped.length > 0) {
+    console.log(`Skipped ${skipped.length} line(s): ${skipped.slice(0, 5).map(entry => `line ${entry.line} (${entry.reason})`).join('; ')}${skipped.length > 5 ? '; ...' : ''}`);
+  }
+  for (const error of report.errors) {
+    console.log(`Error on line ${error.line}: ${error.error}`);
+  }
+}
+
+async function main() {
+  const { flags, files } = parseArgs(process.argv.slice(2));
+  if (files.length !== 1 || !flags.candidate) {
+    console.error('Usage: npm run replay -- <payloads.jsonl> --candidate candidate.json [--shop domain] [--config config.json] [--statuses statuses.json] [--default-status rts|po] [--products products.json] [--json]');
+    process.exit(2);
+  }
+
+  const defaultStatus = flags['default-status'] || 'rts';
+  if (defaultStatus !== 'rts' && defaultStatus !== 'po') {
+    throw new Error('--default-status must be rts or po');
+  }
+  const statuses = flags.statuses ? await readJson(flags.statuses) : {};
+  const statusError = validateStatusStubs(statuses);
+  if (statusError) {
+    throw new Error(statusError);
+  }
+
+  const current = await loadCurrentConfig(flags);
+  const update = await readJson(flags.candidate);
+  const invalid = validateConfigUpdate(update, current);
+  if (invalid) {
+    throw new Error(`${invalid.error}: ${invalid.details}`);
+  }
+  const candidate = applyConfigUpdate(structuredClone(current), update);
+
+  const { entries, skipped } = parseReplayInput(await fs.readFile(files[0], 'utf8'));
+  const products = flags.products ? await readJson(flags.products) : {};
+  const productError = validateProductStubs(products);
+  if (productError) {
+    throw new Error(productError);
+  }
+  const report = await replayQuotes(entries, { current, candidate, statuses, defaultStatus, products });
+
+  if (flags.json) {
+    console.log(JSON.stringify({ ...report, skipped }, null, 2));
+  } else {
+    printReport(report, skipped);
+  }
+}
+
+main().catch(error => {
+  console.error(`Replay failed: ${error.message}`);
+  process.exit(1);
+});
@@ -7,6 +7,31 @@ import compression from 'compression';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { diffConfigs } from './lib/config-store.js';
+import { createCurrencyContext } from './lib/currency.js';
+import { mapWithConcurrency } from './lib/concurrency.js';
+import { createLatencyTracker } from './lib/metrics.js';
+import { createDeadline } from './lib/deadline.js';
+import { createCircuitBreaker, CircuitOpenError } from './lib/circuit-breaker.js';
+import { createCache } from './lib/cache.js';
+import { aggregateDeliveryGroups } from './lib/cross-location.js';
+import { createTokenStore } from './lib/token-store.js';
+import { createShopRegistry, normalizeShopDomain } from './lib/shops.js';
+import { OAuthError, parseScopes, buildAuthorizeUrl, issueState, verifyCallback } from './lib/oauth.js';
+import { WEBHOOK_TOPICS, verifyWebhook, createDeliveryLog } from './lib/webhooks.js';
+import { desiredInstall, reconcileInstall } from './lib/install.js';
+import { validatePreviewCart, cartToRate } from './lib/preview.js';
+import { calculateRates as priceRates } from './lib/pricing.js';
+import { defaultConfig } from './lib/default-config.js';
+import { validateConfigUpdate, applyConfigUpdate } from './lib/config-update.js';
+import { applySchedule, describeSchedule } from './lib/schedule.js';
+import { resolvePromotions, detectPromotion, matchPromotion } from './lib/promotions.js';
+import { parseReplayInput, replayQuotes, validateStatusStubs, validateProductStubs } from './lib/replay.js';
+import {
+  PROVIDER_TYPES,
+  resolveWithProviders,
+  requiredDetails
+} from './lib/status-providers.js';
 
 dotenv.config();
 
@@ -16,54 +41,14 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 3000;
 
-// In-memory cache with TTL support
-const cache = new Map();
+// Shared cache: Redis when REDIS_URL is set (needed for more than one instance),
+// otherwise in-memory
+const cache = createCache({ redisUrl: process.env.REDIS_URL });
 
-function cacheGet(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expiresAt) {
-    cache.delete(key);
-    return null;
-  }
-  return entry.value;
-}
-
-function cacheSet(key, value, ttlSeconds) {
-  // Clear any existing timer for this key
-  const existing = cache.get(key);
-  if (existing && existing.timer) {
-    clearTimeout(existing.timer);
-  }
-  const timer = setTimeout(() => cache.delete(key), ttlSeconds * 1000);
-  cache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000, timer });
-}
-
-function cacheDel(key) {
-  const entry = cache.get(key);
-  if (entry && entry.timer) {
-    clearTimeout(entry.timer);
-  }
-  cache.delete(key);
+if (cache.kind === 'redis') {
+  cache.connect().catch(error => console.error('Redis connection failed - continuing without cache until it recovers:', error.message));
 }
-
-function cacheKeys(pattern) {
-  // Simple glob-style pattern matching (supports trailing *)
-  const prefix = pattern.replace(/\*$/, '');
-  const keys = [];
-  for (const key of cache.keys()) {
-    if (key.startsWith(prefix)) {
-      const entry = cache.get(key);
-      // Skip expired entries
-      if (entry && Date.now() <= entry.expiresAt) {
-        keys.push(key);
-      }
-    }
-  }
-  return keys;
-}
-
-console.log('In-memory cache initialized');
+console.log(`Cache backend: ${cache.kind}`);
 
 // Middleware
 app.use(helmet({
@@ -75,14 +60,18 @@ app.use(helmet({
 }));
 app.use(compression());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Webhook routes parse their own raw body - the HMAC is over the exact bytes Shopify sent
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => req.path.startsWith('/webhook/') ? next() : jsonParser(req, res, next));
 app.use(express.urlencoded({ extended: true }));
 
 // Basic Auth middleware for admin interface
 function requireAuth(req, res, next) {
   // Skip auth for API endpoints that Shopify needs to access
-  const publicPaths = ['/rates', '/webhook/', '/health', '/install', '/auth'];
-  const isPublicPath = publicPaths.some(path => req.path.startsWith(path));
+  const publicPaths = ['/webhook/', '/health', '/auth'];
+  // Exact matches only - /rates/preview and /install/status are admin endpoints
+  const publicExactPaths = ['/rates', '/install'];
+  const isPublicPath = publicPaths.some(path => req.path.startsWith(path)) || publicExactPaths.includes(req.path);
   
   if (isPublicPath) {
     return next();
@@ -117,93 +106,160 @@ app.use(requireAuth);
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// App configuration (in production, store in database)
-const appConfig = {
-  threshold: 5000, // $50 in cents
-  feeUnderThreshold: 500, // $5 in cents
-  labels: {
-    rts: "Ships Now (In-Stock)",
-    po: "Ships Later (Pre-Order)",
-    promo: "Mystery Box Shipping"
-  },
-  descriptions: {
-    rts: "Ready to ship",
-    po: "Free over $50",
-    promo: "Flat rate per order"
-  },
-  promotion: {
-    enabled: false,
-    flatRate: 695, // $6.95 in cents
-    tag: "mysterybox"
-  },
-  killSwitch: false, // Turn on during promos
-  currency: "USD"
-};
+// Shops: encrypted access tokens and per-shop config / cache under DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Scopes requested on install (comma separated)
+const SHOPIFY_SCOPES = parseScopes(process.env.SHOPIFY_SCOPES);
+const tokenStore = createTokenStore({ dir: DATA_DIR, secret: process.env.TOKEN_ENCRYPTION_KEY });
+const shops = createShopRegistry({
+  dataDir: DATA_DIR,
+  defaultConfig,
+  cache,
+  tokenStore,
+  defaultShop: normalizeShopDomain(process.env.SHOPIFY_SHOP_DOMAIN),
+  defaultAccessToken: process.env.SHOPIFY_ACCESS_TOKEN
+});
+
+// Load the env shop's config up front so a bad config shows up at startup
+if (shops.defaultShop) {
+  await shops.resolve(shops.defaultShop);
+}
+
+// Picks the shop for this request:
+//   X-Shopify-Shop-Domain - Shopify carrier callbacks and webhooks
+//   X-Shop-Domain / ?shop - admin interface
+// falling back to the env shop. Unknown shops get a 404.
+async function withShop(req, res, next) {
+  const requested = req.get('X-Shopify-Shop-Domain') || req.get('X-Shop-Domain') || req.query.shop;
+  const domain = requested || shops.defaultShop;
+
+  if (!domain) {
+    return res.status(400).json({ error: 'Missing shop - send X-Shop-Domain or ?shop=' });
+  }
+
+  try {
+    req.shop = await shops.resolve(domain);
+  } catch (error) {
+    console.error(`Error loading shop ${domain}:`, error);
+    return res.status(500).json({ error: 'Failed to load shop', details: error.message });
+  }
+
+  if (!req.shop) {
+    return res.status(404).json({ error: `Shop ${domain} is not installed` });
+  }
+  next();
+}
 
 // Cache TTL (15 minutes — short enough to pick up Batchy status changes quickly)
 const CACHE_TTL = 15 * 60;
 
+// Last known good pre-order status (7 days) - served stale while Batchy is
+// unavailable or while a fresh value is fetched in the background
+const LAST_KNOWN_GOOD_TTL = 7 * 24 * 3600;
+
 // Cache TTL for product data (1 hour)
 const PRODUCT_CACHE_TTL = 3600;
 
+// Max Batchy requests in flight per rate request
+const BATCHY_CONCURRENCY = parseInt(process.env.BATCHY_CONCURRENCY, 10) || 5;
+
+// Batchy fails fast after repeated errors instead of slowing every checkout
+const batchyBreaker = createCircuitBreaker({
+  name: 'Batchy',
+  failureThreshold: parseInt(process.env.BATCHY_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.BATCHY_BREAKER_RESET_MS, 10) || 30000
+});
+
+// How pre-order statuses were resolved since startup (shown in /health)
+const statusSourceCounts = {
+  cache: 0,
+  stale: 0,
+  unknown: 0,
+  ...Object.fromEntries(PROVIDER_TYPES.map(type => [type, 0]))
+};
+
+// Budget kept free after the cross-location wait to finish pricing and respond
+const CROSS_LOCATION_RESERVE_MS = 250;
+
+// Per-request latency for /rates and its dependencies (exposed at /metrics)
+const latency = createLatencyTracker();
+
+// Cross-location aggregations kept per shop (exposed at /cross-location/traces)
+const CROSS_LOCATION_TRACE_LIMIT = 50;
+
+// Webhook deliveries already handled (keyed on X-Shopify-Webhook-Id)
+const webhookDeliveries = createDeliveryLog(cache);
+
+function recordCrossLocationTrace(shop, trace) {
+  shop.crossLocationTraces.unshift({ at: new Date().toISOString(), ...trace });
+  shop.crossLocationTraces.length = Math.min(shop.crossLocationTraces.length, CROSS_LOCATION_TRACE_LIMIT);
+}
+
 // Utility functions
-function verifyWebhook(data, hmacHeader) {
-  if (!process.env.SHOPIFY_WEBHOOK_SECRET) {
-    console.warn('SHOPIFY_WEBHOOK_SECRET not set - webhook verification disabled');
-    return true;
-  }
-  
-  const calculated = crypto
-    .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET)
-    .update(data, 'utf8')
-    .digest('base64');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(calculated, 'base64'),
-    Buffer.from(hmacHeader, 'base64')
-  );
+
+// Cached statuses are { isPreOrder, shipDate }; entries cached before ship
+// dates were kept are plain booleans
+function cachedStatus(cached) {
+  if (cached === null) return null;
+  return typeof cached === 'boolean' ? { isPreOrder: cached, shipDate: null } : cached;
 }
 
-async function getCachedVariantPreOrder(variantId) {
+async function getCachedVariantPreOrder(shop, variantId) {
   const cacheKey = `preproduct_variant_${variantId}`;
-  const cached = cacheGet(cacheKey);
-  if (cached !== null) {
-    return cached;
-  }
-  return null;
+  return cachedStatus(await shop.cache.get(cacheKey));
 }
 
-async function setCachedVariantPreOrder(variantId, isPreOrder) {
+// Only confirmed statuses are cached - never an unknown from a failed lookup
+async function setCachedVariantPreOrder(shop, variantId, { isPreOrder, shipDate = null }) {
   const cacheKey = `preproduct_variant_${variantId}`;
-  cacheSet(cacheKey, isPreOrder, CACHE_TTL);
+  const status = { isPreOrder, shipDate };
+  await Promise.all([
+    shop.cache.set(cacheKey, status, CACHE_TTL),
+    shop.cache.set(`preproduct_lkg_${variantId}`, status, LAST_KNOWN_GOOD_TTL)
+  ]);
+}
+
+async function getLastKnownVariantPreOrder(shop, variantId) {
+  return cachedStatus(await shop.cache.get(`preproduct_lkg_${variantId}`));
+}
+
+// Admin API call for a shop, with its access token and the Shopify timeout
+function shopifyFetch(shop, resource, options = {}) {
+  return fetch(`https://${shop.domain}/admin/api/2024-07/${resource}`, {
+    ...options,
+    headers: {
+      'X-Shopify-Access-Token': shop.accessToken,
+      'Content-Type': 'application/json',
+      ...options.headers
+    },
+    signal: AbortSignal.timeout(shop.config.deadline.shopifyTimeoutMs)
+  });
 }
 
 // Helper function to get cached product data
-async function getCachedProductData(productId) {
+async function getCachedProductData(shop, productId) {
   const cacheKey = `product_data_${productId}`;
 
-  const cached = cacheGet(cacheKey);
+  const cached = await shop.cache.get(cacheKey);
   if (cached) {
     return cached;
   }
 
   // Fetch from Shopify API
   try {
-    const response = await fetch(`https://${process.env.SHOPIFY_SHOP_DOMAIN}/admin/api/2024-07/products/${productId}.json`, {
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-      }
-    });
+    const response = await shopifyFetch(shop, `products/${productId}.json`);
 
     if (response.ok) {
       const data = await response.json();
       const productData = {
         title: data.product.title,
-        tags: data.product.tags || ''
+        tags: data.product.tags || '',
+        product_type: data.product.product_type || '',
+        vendor: data.product.vendor || ''
       };
 
       // Cache the result
-      cacheSet(cacheKey, productData, PRODUCT_CACHE_TTL);
+      await shop.cache.set(cacheKey, productData, PRODUCT_CACHE_TTL);
 
       return productData;
     }
@@ -214,156 +270,409 @@ async function getCachedProductData(productId) {
   return null;
 }
 
-// Get product ID from variant ID using Shopify API
-async function getProductIdFromVariant(variantId) {
+// Times a dependency call for /metrics, except for rate previews (readOnly)
+function timeCall(name, fn, readOnly) {
+  return readOnly ? fn() : latency.time(name, fn);
+}
+
+// Look up product IDs for many variants with a single GraphQL nodes query
+// (only needed for variants the rate request didn't include a product_id for)
+async function getProductIdsForVariants(shop, variantIds, { readOnly = false } = {}) {
+  const productIds = new Map();
+  if (variantIds.length === 0) return productIds;
+
   try {
-    const response = await fetch(`https://${process.env.SHOPIFY_SHOP_DOMAIN}/admin/api/2024-07/variants/${variantId}.json`, {
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-      }
-    });
-    
+    const response = await timeCall('shopify_variant_lookup', () =>
+      shopifyFetch(shop, 'graphql.json', {
+        method: 'POST',
+        body: JSON.stringify({
+          query: `query VariantProducts($ids: [ID!]!) {
+            nodes(ids: $ids) {
+              ... on ProductVariant { id product { id } }
+            }
+          }`,
+          variables: { ids: variantIds.map(id => `gid://shopify/ProductVariant/${id}`) }
+        })
+      }), readOnly
+    );
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch variant: ${response.status}`);
+      throw new Error(`Failed to fetch variants: ${response.status}`);
     }
-    
+
     const data = await response.json();
-    return data.variant.product_id;
+    if (data.errors) {
+      throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+    }
+
+    for (const node of data.data?.nodes || []) {
+      if (node?.product?.id) {
+        productIds.set(gidToId(node.id), gidToId(node.product.id));
+      }
+    }
   } catch (error) {
-    console.error('Error fetching product ID for variant:', variantId, error);
-    return null;
+    console.error('Error fetching product IDs for variants:', variantIds, error);
   }
+
+  return productIds;
+}
+
+function gidToId(gid) {
+  return String(gid).split('/').pop();
 }
 
-// Call Batchy API to check if variant is pre-order
-async function fetchPreProductStatus(productId, variantId) {
+// Variant details for the metafield / inventory / tag status providers, in one
+// GraphQL nodes query that only asks for the fields the provider chain uses
+async function getVariantDetails(shop, variantIds, providers, { readOnly = false } = {}) {
+  const details = new Map();
+  if (variantIds.length === 0) return details;
+
+  const needed = requiredDetails(providers);
+  const metafieldFields = needed.metafields.map((fullKey, index) => {
+    const [namespace, key] = fullKey.split('.');
+    return `mf${index}: metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { value }`;
+  });
+
+  const response = await timeCall('shopify_variant_details', () =>
+    shopifyFetch(shop, 'graphql.json', {
+      method: 'POST',
+      body: JSON.stringify({
+        query: `query VariantStatusDetails($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on ProductVariant {
+              id
+              ${metafieldFields.join('\n              ')}
+              ${needed.inventory ? 'inventoryQuantity inventoryPolicy inventoryItem { tracked }' : ''}
+              ${needed.tags ? 'product { tags }' : ''}
+            }
+          }
+        }`,
+        variables: { ids: variantIds.map(id => `gid://shopify/ProductVariant/${id}`) }
+      })
+    }), readOnly
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch variant details: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+
+  for (const node of data.data?.nodes || []) {
+    if (!node?.id) continue;
+    details.set(gidToId(node.id), {
+      metafields: Object.fromEntries(needed.metafields.map((fullKey, index) => [fullKey, node[`mf${index}`]?.value ?? null])),
+      inventoryQuantity: node.inventoryQuantity,
+      inventoryPolicy: node.inventoryPolicy,
+      tracked: node.inventoryItem?.tracked,
+      tags: node.product?.tags
+    });
+  }
+
+  return details;
+}
+
+// Call Batchy API to check if variant is pre-order.
+// Returns { isPreOrder, status, shipDate }, or null when the status is unknown
+// (error, timeout or open circuit). readOnly (rate previews) respects an open
+// circuit but doesn't count towards opening or closing it.
+async function fetchPreProductStatus(shop, productId, variantId, { readOnly = false } = {}) {
   const batchyUrl = process.env.BATCHY_URL || 'https://batchy-production-0e03.up.railway.app';
   const batchyApiKey = process.env.BATCHY_API_KEY;
+  const timeoutMs = shop.config.deadline.batchyTimeoutMs;
+  const request = () => requestPreProductStatus(batchyUrl, batchyApiKey, productId, variantId, timeoutMs, { readOnly });
 
   try {
-    const url = `${batchyUrl}/api/v1/variant-status/${productId}/${variantId}`;
+    if (readOnly) {
+      if (batchyBreaker.isOpen()) throw new CircuitOpenError('Batchy');
+      return await request();
+    }
+    return await batchyBreaker.exec(request);
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      console.warn(`Batchy circuit open — status for variant ${variantId} unknown`);
+    } else {
+      console.error('Error calling Batchy API:', error);
+    }
+    return null;
+  }
+}
 
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${batchyApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+async function requestPreProductStatus(batchyUrl, batchyApiKey, productId, variantId, timeoutMs, { readOnly = false } = {}) {
+  const url = `${batchyUrl}/api/v1/variant-status/${productId}/${variantId}`;
 
-    if (!response.ok) {
-      throw new Error(`Batchy API failed: ${response.status} ${await response.text()}`);
-    }
+  const response = await timeCall('batchy', () => fetch(url, {
+    headers: {
+      'Authorization': `Bearer ${batchyApiKey}`,
+      'Content-Type': 'application/json'
+    },
+    signal: AbortSignal.timeout(timeoutMs)
+  }), readOnly);
 
-    const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Batchy API failed: ${response.status} ${await response.text()}`);
+  }
 
-    // Debug logging
-    console.log('Batchy API raw response:', JSON.stringify(data));
-    console.log('data.isPreOrder value:', data.isPreOrder);
+  const data = await response.json();
 
-    // Batchy API returns {isPreOrder: true/false, status: "IN_STOCK"|"PREORDER_OPEN"|etc.}
-    return data.isPreOrder || false;
+  // Debug logging
+  console.log('Batchy API raw response:', JSON.stringify(data));
+  console.log('data.isPreOrder value:', data.isPreOrder);
 
-  } catch (error) {
-    console.error('Error calling Batchy API:', error);
-    return false; // Default to not pre-order on error
+  // Batchy API returns {isPreOrder: true/false, status: "IN_STOCK"|"PREORDER_OPEN"|etc.},
+  // with the expected ship date for pre-orders when it is known
+  return {
+    isPreOrder: data.isPreOrder || false,
+    status: data.status ?? null,
+    shipDate: data.shipDate ?? data.expectedShipDate ?? null
+  };
+}
+
+// Batchy status for many variants, with at most BATCHY_CONCURRENCY calls in flight
+async function fetchPreProductStatuses(shop, variants, { readOnly = false } = {}) {
+  const statuses = await mapWithConcurrency(variants, BATCHY_CONCURRENCY, ({ productId, variantId }) =>
+    fetchPreProductStatus(shop, productId, variantId, { readOnly })
+  );
+  return new Map(variants.map(({ variantId }, index) => [variantId, statuses[index]]));
+}
+
+// Look up statuses through the configured provider chain and cache the confirmed ones.
+// Returns variantId → { isPreOrder, provider }, isPreOrder null when the status is unknown.
+// readOnly looks statuses up without caching them, timing the calls or
+// touching the Batchy circuit (rate previews)
+async function resolveVariantStatuses(shop, variantIds, productIdsByVariant, { readOnly = false } = {}) {
+  const statuses = await resolveWithProviders(shop.config.statusProviders, variantIds, {
+    batchy: pending => fetchBatchyStatuses(shop, pending, productIdsByVariant, { readOnly }),
+    variantDetails: pending => getVariantDetails(shop, pending, shop.config.statusProviders, { readOnly })
+  });
+
+  for (const [variantId, status] of statuses) {
+    const { isPreOrder, provider, shipDate } = status;
+    if (isPreOrder !== null && !readOnly) {
+      await setCachedVariantPreOrder(shop, variantId, status);
+      console.log(`Pre-order status (${provider}): Variant ${variantId} is ${isPreOrder ? `pre-order${shipDate ? ` shipping ${shipDate}` : ''}` : 'ready-to-ship'}`);
+    }
+  }
+
+  return statuses;
+}
+
+// Batchy provider: variantId → { isPreOrder, status, shipDate } / null
+async function fetchBatchyStatuses(shop, variantIds, productIdsByVariant, { readOnly = false } = {}) {
+  // 1. Get product IDs (from the request, else one GraphQL query for the rest)
+  // 2. Call Batchy for all of them with bounded parallelism
+  const productIds = new Map();
+  const missingProductIds = [];
+  for (const variantId of variantIds) {
+    const productId = productIdsByVariant.get(variantId);
+    if (productId) {
+      productIds.set(variantId, String(productId));
+    } else {
+      missingProductIds.push(variantId);
+    }
+  }
+
+  for (const [variantId, productId] of await getProductIdsForVariants(shop, missingProductIds, { readOnly })) {
+    productIds.set(variantId, productId);
   }
+
+  return fetchPreProductStatuses(
+    shop,
+    [...productIds].map(([variantId, productId]) => ({ productId, variantId })),
+    { readOnly }
+  );
+}
+
+// Shop + variant pairs with a background refresh in flight (so concurrent requests don't pile on)
+const revalidatingVariants = new Set();
+
+function revalidateInBackground(shop, variantIds, productIdsByVariant) {
+  const refreshKey = variantId => `${shop.domain}:${variantId}`;
+  const pending = variantIds.filter(variantId => !revalidatingVariants.has(refreshKey(variantId)));
+  const batchyOnly = shop.config.statusProviders.every(provider => provider.type === 'batchy');
+  if (pending.length === 0 || (batchyOnly && batchyBreaker.isOpen())) return;
+
+  for (const variantId of pending) revalidatingVariants.add(refreshKey(variantId));
+  resolveVariantStatuses(shop, pending, productIdsByVariant)
+    .catch(error => console.error('Background status refresh failed:', error))
+    .finally(() => {
+      for (const variantId of pending) revalidatingVariants.delete(refreshKey(variantId));
+    });
 }
 
-async function getVariantPreOrderStatus(variantIds) {
+// Returns variantId → { isPreOrder, source, shipDate } where source is:
+//   cache   - fresh cached status
+//   stale   - last known good status (expired, or providers unavailable); refreshed in the background
+//   batchy / metafield / inventory / tag - looked up during this request by that provider
+//   unknown - no status available; treated as ready-to-ship for this request only
+// productIdsByVariant comes from the rate request (Shopify sends product_id on
+// each item), so the Shopify lookup is only needed for variants missing one.
+// readOnly (rate previews) leaves the cache, background refreshes, the Batchy
+// circuit and the /health and /metrics counters alone.
+async function getVariantPreOrderStatus(shop, variantIds, productIdsByVariant = new Map(), { readOnly = false } = {}) {
+  const startTime = Date.now();
   const results = new Map();
+  const staleVariants = [];
   const uncachedVariants = [];
   
-  // Check cache first
-  for (const variantId of variantIds) {
-    const cached = await getCachedVariantPreOrder(variantId);
+  // Check cache first, then the last known good value
+  for (const variantId of new Set(variantIds)) {
+    const cached = await getCachedVariantPreOrder(shop, variantId);
     if (cached !== null) {
-      results.set(variantId, cached);
+      results.set(variantId, { ...cached, source: 'cache' });
+      continue;
+    }
+
+    const lastKnown = await getLastKnownVariantPreOrder(shop, variantId);
+    if (lastKnown !== null) {
+      results.set(variantId, { ...lastKnown, source: 'stale' });
+      staleVariants.push(variantId);
     } else {
       uncachedVariants.push(variantId);
     }
   }
-  
-  // For uncached variants, we need to:
-  // 1. Get product ID from Shopify
-  // 2. Call PreProduct API
-  // 3. Cache the result
-  for (const variantId of uncachedVariants) {
+
+  // Serve stale values now and refresh them without holding up this request
+  if (!readOnly) {
+    revalidateInBackground(shop, staleVariants, productIdsByVariant);
+  }
+
+  if (uncachedVariants.length > 0) {
+    let statuses = new Map();
     try {
-      // Get product ID for this variant
-      const productId = await getProductIdFromVariant(variantId);
-      
-      if (productId) {
-        // Call PreProduct API
-        const isPreOrder = await fetchPreProductStatus(productId, variantId);
-        
-        // Store result and cache it
-        results.set(variantId, isPreOrder);
-        await setCachedVariantPreOrder(variantId, isPreOrder);
-        
-        console.log(`PreProduct API: Variant ${variantId} (Product ${productId}) is ${isPreOrder ? 'pre-order' : 'ready-to-ship'}`);
+      statuses = await resolveVariantStatuses(shop, uncachedVariants, productIdsByVariant, { readOnly });
+    } catch (error) {
+      console.error('Error processing variants:', uncachedVariants, error);
+    }
+
+    for (const variantId of uncachedVariants) {
+      const { isPreOrder = null, provider, shipDate = null } = statuses.get(variantId) || {};
+      if (isPreOrder === null) {
+        // Unknown is not the same as "not pre-order": don't cache it
+        console.warn(`Pre-order status unknown for variant ${variantId} — treating as ready-to-ship for this request`);
+        results.set(variantId, { isPreOrder: false, source: 'unknown', shipDate: null });
       } else {
-        // Fallback: assume not pre-order if we can't get product ID
-        results.set(variantId, false);
-        await setCachedVariantPreOrder(variantId, false);
+        results.set(variantId, { isPreOrder, source: provider, shipDate });
       }
-    } catch (error) {
-      console.error('Error processing variant:', variantId, error);
-      // Fallback: assume not pre-order on error
-      results.set(variantId, false);
     }
   }
-  
+
+  if (!readOnly) {
+    for (const { source } of results.values()) {
+      statusSourceCounts[source]++;
+    }
+    latency.record('preorder_status', Date.now() - startTime);
+  }
   return results;
 }
 
+// Lowercased product tags per product ID (only fetched when a rule needs them)
+async function getProductTags(shop, productIds) {
+  const tagsByProduct = new Map();
+  await Promise.all([...new Set(productIds)].map(async (productId) => {
+    const productData = await getCachedProductData(shop, productId);
+    const tags = productData?.tags ? productData.tags.split(',').map(tag => tag.trim().toLowerCase()) : [];
+    tagsByProduct.set(productId, tags);
+  }));
+  return tagsByProduct;
+}
+
+// Install reconciliation calls aren't on the checkout path, so they get longer
+// than shopifyTimeoutMs
+const INSTALL_TIMEOUT_MS = 10000;
+
+// Admin REST request function for reconcileInstall
+function adminRequest(shopDomain, accessToken) {
+  return async (method, resource, body) => {
+    const response = await fetch(`https://${shopDomain}/admin/api/2024-07/${resource}`, {
+      method,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(INSTALL_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${method} ${resource} failed: ${response.status} ${await response.text()}`);
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  };
+}
+
+// Compare the shop's carrier service and webhooks with what this deployment
+// expects; with apply: true, create / update / delete until they match
+async function reconcileShopInstall(shopDomain, accessToken, { apply = false } = {}) {
+  if (!process.env.APP_DOMAIN) {
+    throw new Error('APP_DOMAIN is not set - cannot work out the callback URLs');
+  }
+
+  const result = await reconcileInstall(
+    adminRequest(shopDomain, accessToken),
+    desiredInstall(process.env.APP_DOMAIN),
+    { apply }
+  );
+
+  if (apply) {
+    for (const entry of [...result.carrier_services, ...result.webhooks]) {
+      if (entry.action === 'ok') continue;
+      const what = entry.topic ? `webhook ${entry.topic}` : 'carrier service';
+      if (entry.error) {
+        console.error(`${shopDomain}: failed to ${entry.action} ${what}: ${entry.error}`);
+      } else {
+        console.log(`${shopDomain}: ${entry.action}d ${what}`);
+      }
+    }
+  }
+
+  return { shop: shopDomain, app_domain: process.env.APP_DOMAIN, ...result };
+}
+
 // Routes
 
 // OAuth initiation route (optional - for manual installs)
-app.get('/auth', (req, res) => {
-  const { shop } = req.query;
-  
-  if (!shop) {
+app.get('/auth', async (req, res) => {
+  const shop = normalizeShopDomain(req.query.shop);
+
+  if (!req.query.shop) {
     return res.status(400).send('Missing shop parameter');
   }
-  
-  const scopes = 'read_products,write_shipping,write_products';
-  const redirectUri = `${process.env.APP_DOMAIN}/auth/callback`;
-  const state = crypto.randomBytes(16).toString('hex');
-  
-  const authUrl = `https://${shop}/admin/oauth/authorize?` +
-    `client_id=${process.env.SHOPIFY_API_KEY}&` +
-    `scope=${scopes}&` +
-    `redirect_uri=${redirectUri}&` +
-    `state=${state}`;
-  
-  res.redirect(authUrl);
+  if (!shop) {
+    return res.status(400).send('Invalid shop domain - expected your-store.myshopify.com');
+  }
+
+  // Remembered (with an expiry) so the callback can prove it answers this request
+  const state = await issueState(cache, shop);
+
+  res.redirect(buildAuthorizeUrl({
+    shop,
+    apiKey: process.env.SHOPIFY_API_KEY,
+    scopes: SHOPIFY_SCOPES,
+    redirectUri: `${process.env.APP_DOMAIN}/auth/callback`,
+    state
+  }));
 });
 
 // OAuth callback route - handles Shopify's response after authorization
 app.get('/auth/callback', async (req, res) => {
+  let shop, code;
   try {
-    const { code, hmac, shop, state } = req.query;
-    
-    if (!code || !shop) {
-      return res.status(400).send('Missing required parameters');
-    }
-    
-    // Verify HMAC (security check)
-    const queryString = Object.keys(req.query)
-      .filter(key => key !== 'hmac')
-      .map(key => `${key}=${req.query[key]}`)
-      .sort()
-      .join('&');
-    
-    const calculatedHmac = crypto
-      .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
-      .update(queryString)
-      .digest('hex');
-    
-    if (calculatedHmac !== hmac) {
-      return res.status(401).send('Invalid HMAC');
+    ({ shop, code } = await verifyCallback(req.query, { secret: process.env.SHOPIFY_API_SECRET, cache }));
+  } catch (error) {
+    if (!(error instanceof OAuthError)) {
+      console.error('OAuth callback verification error:', error);
+      return res.status(500).send('Could not verify the installation request');
     }
-    
+    console.warn(`OAuth callback rejected (${error.status}): ${error.message}`);
+    return res.status(error.status).send(error.message);
+  }
+
+  try {
     // Exchange authorization code for access token
     const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
       method: 'POST',
@@ -386,54 +695,21 @@ app.get('/auth/callback', async (req, res) => {
     const accessToken = tokenData.access_token;
     
     console.log(`✅ OAuth successful for shop: ${shop}`);
-    console.log(`🔑 Access token received: ${accessToken.substring(0, 10)}...`);
+    const granted = parseScopes(tokenData.scope).split(',');
+    const missingScopes = SHOPIFY_SCOPES.split(',').filter(scope => !granted.includes(scope));
+    if (missingScopes.length > 0) {
+      console.warn(`⚠️ ${shop} did not grant scopes: ${missingScopes.join(', ')}`);
+    }
+
+    // Store the token (encrypted) and reload the shop with it on its next request
+    await tokenStore.save(shop, { accessToken, scope: tokenData.scope });
+    shops.forget(shop);
+    console.log(`🔑 Access token stored for ${shop}`);
     
-    // Now install the carrier service and webhooks
+    // Now install the carrier service and webhooks (or fix up an earlier install)
+    let install = null;
     try {
-      // Register carrier service
-      const carrierServiceResponse = await fetch(`https://${shop}/admin/api/2024-07/carrier_services.json`, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          carrier_service: {
-            name: "Ship Ship Hooray",
-            callback_url: `${process.env.APP_DOMAIN}/rates`,
-            service_discovery: true,
-            format: "json"
-          }
-        })
-      });
-      
-      if (!carrierServiceResponse.ok) {
-        const errorText = await carrierServiceResponse.text();
-        console.error('Carrier service registration failed:', errorText);
-      } else {
-        console.log('✅ Carrier service registered successfully');
-      }
-      
-      // Set up product update webhook
-      const webhookResponse = await fetch(`https://${shop}/admin/api/2024-07/webhooks.json`, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          webhook: {
-            topic: 'products/update',
-            address: `${process.env.APP_DOMAIN}/webhook/product-update`,
-            format: 'json'
-          }
-        })
-      });
-      
-      if (webhookResponse.ok) {
-        console.log('✅ Webhook registered successfully');
-      }
-      
+      install = await reconcileShopInstall(shop, accessToken, { apply: true });
     } catch (installError) {
       console.error('Post-installation setup error:', installError);
     }
@@ -452,8 +728,6 @@ app.get('/auth/callback', async (req, res) => {
           h1 { color: #2c5aa0; margin-bottom: 20px; }
           .success { background: #d4edda; color: #155724; padding: 15px; 
                     border-radius: 4px; margin: 20px 0; }
-          .token-box { background: #f8f9fa; padding: 15px; border-radius: 4px; 
-                      font-family: monospace; word-break: break-all; margin: 20px 0; }
           .next-steps { background: #e7f3ff; padding: 20px; border-radius: 4px; }
           a { color: #2c5aa0; text-decoration: none; }
           a:hover { text-decoration: underline; }
@@ -465,22 +739,17 @@ app.get('/auth/callback', async (req, res) => {
           
           <div class="success">
             ✅ Successfully installed on <strong>${shop}</strong><br>
-            ✅ Carrier service "Ship Ship Hooray" registered<br>
-            ✅ Product update webhook configured<br>
+            ✅ Access token stored (encrypted)<br>
+            ${install?.in_sync
+              ? '✅ Carrier service "Ship Ship Hooray" and webhooks registered<br>'
+              : '⚠️ Carrier service or webhooks could not be registered - use "Check install" in the admin<br>'}
             ✅ Ready to calculate shipping rates!
           </div>
           
-          <h3>🔑 Access Token</h3>
-          <p>Add this access token to your Railway environment variables:</p>
-          <div class="token-box">
-            SHOPIFY_ACCESS_TOKEN=${accessToken}
-          </div>
-          
           <div class="next-steps">
             <h3>📋 Next Steps:</h3>
             <ol>
-              <li><strong>Add the access token</strong> to your Railway environment variables</li>
-              <li><strong>Test the app:</strong> <a href="${process.env.APP_DOMAIN}" target="_blank">Visit Admin Interface</a></li>
+              <li><strong>Test the app:</strong> <a href="${process.env.APP_DOMAIN}/?shop=${shop}" target="_blank">Visit Admin Interface</a> and pick ${shop}</li>
               <li><strong>Test shipping rates:</strong> Add items to cart and go to checkout</li>
               <li><strong>Configure settings:</strong> Adjust thresholds and labels in admin</li>
             </ol>
@@ -497,10 +766,11 @@ app.get('/auth/callback', async (req, res) => {
     `);
     
   } catch (error) {
+    // Details stay in the logs; they can include Shopify's response body
     console.error('OAuth callback error:', error);
     res.status(500).send(`
       <h1>Installation Error</h1>
-      <p>Something went wrong during installation: ${error.message}</p>
+      <p>Something went wrong during installation. Check the app logs for details.</p>
       <p><a href="javascript:history.back()">← Go Back</a></p>
     `);
   }
@@ -512,16 +782,82 @@ app.get('/', (req, res) => {
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const cacheStats = await cache.stats();
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    cache: 'in-memory',
+    cache: cache.kind,
+    redis: cache.kind === 'redis' ? (cacheStats.connected ? 'connected' : 'disconnected') : 'not configured',
     batchy_api: process.env.BATCHY_API_KEY ? 'configured' : 'missing',
-    batchy_url: process.env.BATCHY_URL || 'https://batchy-production-0e03.up.railway.app'
+    batchy_url: process.env.BATCHY_URL || 'https://batchy-production-0e03.up.railway.app',
+    batchy_circuit: batchyBreaker.snapshot(),
+    preorder_status_sources: statusSourceCounts
   });
 });
 
+// Latency of /rates and its dependencies (count, avg, p50, p95, max in ms)
+app.get('/metrics', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    batchy_concurrency: BATCHY_CONCURRENCY,
+    latency: latency.summary()
+  });
+});
+
+// Installed shops (tokens are never returned) for the admin shop picker
+app.get('/shops', async (req, res) => {
+  try {
+    res.json({ default: shops.defaultShop, shops: await shops.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Which delivery groups were combined for recent cross-location checkouts
+app.get('/cross-location/traces', withShop, (req, res) => {
+  res.json({
+    shop: req.shop.domain,
+    settings: req.shop.config.crossLocation,
+    traces: req.shop.crossLocationTraces
+  });
+});
+
+// Quote audit log, newest first. Filters: from / to (ISO date or ms), zip
+// (prefix), variant, limit (default 100, at most 500)
+app.get('/quotes', withShop, async (req, res) => {
+  try {
+    const { zip, variant } = req.query;
+    const [from, to] = ['from', 'to'].map(key => {
+      const value = req.query[key];
+      if (!value) return null;
+      return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    });
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO dates or millisecond timestamps' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const { total, quotes } = await req.shop.quoteLog.query({ from, to, zip, variant, limit });
+    res.json({ shop: req.shop.domain, settings: req.shop.config.quoteLog, total, quotes });
+  } catch (error) {
+    console.error('Quote log query error:', error);
+    res.status(500).json({ error: 'Failed to read quote log', details: error.message });
+  }
+});
+
+app.get('/quotes/:id', withShop, async (req, res) => {
+  try {
+    const quote = await req.shop.quoteLog.get(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ error: `Quote ${req.params.id} not found` });
+    }
+    res.json(quote);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Install/setup route (legacy - OAuth callback handles this now)
 app.post('/install', async (req, res) => {
   try {
@@ -530,54 +866,18 @@ app.post('/install', async (req, res) => {
     if (!shop || !accessToken) {
       return res.status(400).json({ error: 'Missing shop or accessToken' });
     }
-    
-    // Register carrier service
-    const carrierServiceResponse = await fetch(`https://${shop}/admin/api/2024-07/carrier_services.json`, {
-      method: 'POST',
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        carrier_service: {
-          name: "Ship Ship Hooray",
-          callback_url: `${process.env.APP_DOMAIN}/rates`,
-          service_discovery: true,
-          format: "json"
-        }
-      })
-    });
-    
-    if (!carrierServiceResponse.ok) {
-      const errorText = await carrierServiceResponse.text();
-      throw new Error(`CarrierService create failed: ${carrierServiceResponse.status} ${errorText}`);
+    if (!normalizeShopDomain(shop)) {
+      return res.status(400).json({ error: 'Invalid shop domain' });
     }
     
-    const carrierService = await carrierServiceResponse.json();
+    const install = await reconcileShopInstall(normalizeShopDomain(shop), accessToken, { apply: true });
     
-    // Set up product update webhook
-    const webhookResponse = await fetch(`https://${shop}/admin/api/2024-07/webhooks.json`, {
-      method: 'POST',
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        webhook: {
-          topic: 'products/update',
-          address: `${process.env.APP_DOMAIN}/webhook/product-update`,
-          format: 'json'
-        }
-      })
-    });
-    
-    const webhook = webhookResponse.ok ? await webhookResponse.json() : null;
-    
-    res.json({
-      success: true,
-      carrierService,
-      webhook,
-      message: 'Ship Ship Hooray installed successfully'
+    res.status(install.in_sync ? 200 : 502).json({
+      success: install.in_sync,
+      ...install,
+      message: install.in_sync
+        ? 'Ship Ship Hooray installed successfully'
+        : 'Some registrations failed - see the entries with an error'
     });
     
   } catch (error) {
@@ -589,266 +889,384 @@ app.post('/install', async (req, res) => {
   }
 });
 
-// Main shipping rates endpoint
-app.post('/rates', async (req, res) => {
+// Carrier service and webhook drift for the shop, without changing anything
+app.get('/install/status', withShop, async (req, res) => {
   try {
-    const startTime = Date.now();
-    
-    // Check kill switch
-    if (appConfig.killSwitch) {
-      return res.json({ rates: [] });
-    }
-    
-    const { rate } = req.body;
-    
-    if (!rate || !rate.items) {
-      return res.status(400).json({ error: 'Invalid rate request format' });
-    }
-    
-    // Handle edge cases
-    if (rate.items.length === 0) {
-      return res.json({ rates: [] });
-    }
+    res.json(await reconcileShopInstall(req.shop.domain, req.shop.accessToken));
+  } catch (error) {
+    console.error('Install status error:', error);
+    res.status(502).json({ error: 'Failed to read install status', details: error.message });
+  }
+});
 
-    // International orders: return empty rates so Shopify uses its native
-    // international shipping profiles. No pre-order splitting for international.
-    const destCountry = rate.destination?.country || rate.destination?.country_code || '';
-    if (destCountry && destCountry !== 'US') {
-      console.log(`International order (${destCountry}) — deferring to Shopify native rates`);
-      return res.json({ rates: [] });
-    }
-    
-    // Check for gift cards only
-    const isGiftCardsOnly = rate.items.every(item => 
-      item.product_type === 'Gift Card' || 
-      item.title?.toLowerCase().includes('gift card')
-    );
-    
-    if (isGiftCardsOnly) {
-      return res.json({
-        rates: [{
-          service_name: "Free Shipping",
-          service_code: "GIFT_CARD_FREE",
-          total_price: "0",
-          currency: appConfig.currency,
-          description: "Gift cards ship free"
-        }]
-      });
-    }
+// Create / update / delete registrations until they match the expected state
+app.post('/install/reconcile', withShop, async (req, res) => {
+  try {
+    const install = await reconcileShopInstall(req.shop.domain, req.shop.accessToken, { apply: true });
+    res.status(install.in_sync ? 200 : 502).json(install);
+  } catch (error) {
+    console.error('Install reconcile error:', error);
+    res.status(502).json({ error: 'Failed to reconcile install', details: error.message });
+  }
+});
 
-    // Check for mystery box items first (if promotion is enabled)
-    if (appConfig.promotion.enabled) {
-      const mysteryBoxItems = [];
-      const nonMysteryBoxItems = [];
-      
-      // Get unique product IDs to minimize API calls
-      const uniqueProductIds = [...new Set(rate.items.map(item => item.product_id))];
-      
-      // Fetch product data (with caching) for unique products
-      const productDataMap = new Map();
-      const productPromises = uniqueProductIds.map(async (productId) => {
-        const productData = await getCachedProductData(productId);
-        if (productData) {
-          productDataMap.set(productId, productData);
-        }
-        return productData;
-      });
-      
-      await Promise.all(productPromises);
-      
-      // Check each item for mystery box tag using cached product data
-      for (const item of rate.items) {
-        const productData = productDataMap.get(item.product_id);
-        let isMysteryBox = false;
-        
-        if (productData) {
-          // Check product tags for mystery box
-          const productTags = productData.tags ? productData.tags.split(',').map(tag => tag.trim().toLowerCase()) : [];
-          isMysteryBox = productTags.some(tag => 
-            tag.includes('mysterybox') || 
-            tag.includes('mystery-box') || 
-            tag.includes('mystery box')
-          );
-          
-          // Also check product title as fallback
-          if (!isMysteryBox) {
-            const titleLower = productData.title.toLowerCase();
-            isMysteryBox = titleLower.includes('mystery box') || titleLower.includes('mysterybox');
-          }
-        }
-        
-        // Fallback: check item title if we couldn't get product data
-        if (!isMysteryBox && !productData) {
-          const itemTitleLower = item.title.toLowerCase();
-          isMysteryBox = itemTitleLower.includes('mystery box') || itemTitleLower.includes('mysterybox');
-        }
-        
-        if (isMysteryBox) {
-          mysteryBoxItems.push(item);
-        } else {
-          nonMysteryBoxItems.push(item);
-        }
-      }
-      
-      // If ANY items are mystery boxes, return only the flat rate promotion shipping
-      if (mysteryBoxItems.length > 0) {
-        const processingTime = Date.now() - startTime;
-        console.log(`Mystery Box cart detected (${mysteryBoxItems.length} mystery box items, ${nonMysteryBoxItems.length} regular items) in ${processingTime}ms`);
-        
-        return res.json({
-          rates: [{
-            service_name: appConfig.labels.promo,
-            service_code: "MYSTERY_BOX_FLAT",
-            total_price: appConfig.promotion.flatRate.toString(),
-            currency: appConfig.currency,
-            description: appConfig.descriptions.promo
-          }]
-        });
-      }
-      
-      // If no mystery box items, continue with normal RTS/PO logic below
-    }
-    
-    // Get variant IDs
-    const variantIds = rate.items.map(item => item.variant_id.toString());
+// Configured fallback rates, in the request currency
+function buildFallbackRates(config, rate) {
+  const money = createCurrencyContext(config, rate.currency);
+  return (config.deadline.fallbackRates || []).map(fallback => ({
+    service_name: fallback.service_name,
+    service_code: fallback.service_code,
+    total_price: money.convert(fallback.total_price).toString(),
+    currency: money.currency,
+    description: fallback.description || ''
+  }));
+}
 
-    // Fetch pre-order status for all variants from PreProduct
-    const variantStatuses = await getVariantPreOrderStatus(variantIds);
+// Store what /rates answered and why (see lib/quote-log.js). Only the parts of
+// the address pricing depends on are kept - no names, streets or contact details.
+// Numeric request fields are logged as-is only when they are finite numbers
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
 
-    // Calculate subtotals for THIS delivery group
-    let rtsSubtotal = 0;
-    let preorderSubtotal = 0;
+function recordQuote(shop, rate, { result, rates, trace = {}, startTime }) {
+  const dest = rate?.destination || {};
+  const sources = (trace.variants || []).map(variant => variant.source);
+
+  shop.quoteLog.record({
+    result,
+    duration_ms: Date.now() - startTime,
+    destination: {
+      country: dest.country || null,
+      province: dest.province || null,
+      postal_code: dest.postal_code || dest.zip || null,
+      city: dest.city || null
+    },
+    currency: rate?.currency || null,
+    items: (rate?.items || []).map(item => ({
+      variant_id: item.variant_id != null ? String(item.variant_id) : null,
+      product_id: item.product_id != null ? String(item.product_id) : null,
+      name: item.name || item.title || null,
+      quantity: finiteOrNull(item.quantity),
+      price: finiteOrNull(item.price),
+      grams: finiteOrNull(item.grams),
+      product_type: item.product_type || null,
+      requires_shipping: item.requires_shipping !== false
+    })),
+    zone: trace.zone ?? null,
+    schedule: trace.schedule || [],
+    promotions: trace.promotions || [],
+    variants: trace.variants || [],
+    cache: {
+      hits: sources.filter(source => source === 'cache').length,
+      stale: sources.filter(source => source === 'stale').length,
+      misses: sources.filter(source => source !== 'cache' && source !== 'stale').length
+    },
+    cross_location: trace.crossLocation ? {
+      groups: trace.crossLocation.groups.length,
+      expected: trace.crossLocation.expected,
+      resolved_by: trace.crossLocation.resolved_by,
+      waited_ms: trace.crossLocation.waited_ms
+    } : null,
+    buckets: trace.buckets || {},
+    rates
+  }).catch(error => console.error('Quote log error:', error.message));
+}
 
-    for (const item of rate.items) {
-      const variantId = item.variant_id.toString();
-      const isPreOrder = variantStatuses.get(variantId) || false;
-      const extended = item.price * item.quantity; // Price is in cents, pre-discount
+// Rates for one carrier-service request (one delivery group), priced by
+// lib/pricing.js with this shop's Shopify / PreProduct lookups.
+// Returns the rates array; /rates races this against the response deadline.
+// preview (POST /rates/preview) skips cross-location pooling, status caching and
+// metrics. When trace.steps is an array, every decision is appended to it.
+// config is the shop's config with the schedule applied (see lib/schedule.js).
+// now is when delivery dates are counted from (the preview's `at`).
+async function calculateRates(shop, rate, { config, startTime, now = startTime, deadline, trace = {}, preview = false }) {
+  const lookups = {
+    productData: productId => getCachedProductData(shop, productId),
+    variantStatuses: (variantIds, productIdsByVariant) =>
+      getVariantPreOrderStatus(shop, variantIds, productIdsByVariant, { readOnly: preview }),
+    productTags: productIds => getProductTags(shop, productIds)
+  };
+
+  if (!preview) {
+    // Shopify sends all delivery group requests near-simultaneously, but
+    // network latency means they arrive ~100-500ms apart. Stop waiting once
+    // the expected groups are in, and never wait into the end of the budget.
+    lookups.poolDeliveryGroups = async (totals) => {
+      const pooled = await aggregateDeliveryGroups(shop.cache, rate, totals, {
+        windowMs: Math.min(shop.config.crossLocation.windowMs, deadline.remaining() - CROSS_LOCATION_RESERVE_MS),
+        locations: shop.config.crossLocation.locations
+      });
+      recordCrossLocationTrace(shop, pooled.trace);
+      return pooled;
+    };
+  }
 
-      if (isPreOrder) {
-        preorderSubtotal += extended;
-      } else {
-        rtsSubtotal += extended;
-      }
-    }
+  const rates = await priceRates(config, rate, { lookups, trace, startTime, now });
+  if (!preview && trace.outcome === 'split') {
+    latency.record('rates', Date.now() - startTime);
+  }
+  return rates;
+}
 
-    // Cross-location free shipping: When Shopify splits an order across
-    // fulfillment locations, it calls /rates once per delivery group.
-    // Each group only sees its own items, so a $100 order split into
-    // $60 + $40 would charge $5 shipping on the $40 group.
-    // Fix: use in-memory cache to track the combined totals across all groups
-    // for the same destination, so the $50 threshold applies to the full order.
-    let combinedRtsTotal = rtsSubtotal;
-    let combinedPoTotal = preorderSubtotal;
-    const dest = rate.destination || {};
-    const destKey = `ship:order:${dest.postal_code || ''}:${dest.address1 || ''}`.toLowerCase().replace(/\s+/g, '');
-
-    if (rtsSubtotal > 0 || preorderSubtotal > 0) {
-      try {
-        const groupId = crypto.randomUUID();
-        // Store both RTS and PO subtotals for this group (30s TTL)
-        if (rtsSubtotal > 0) {
-          cacheSet(`${destKey}:rts:${groupId}`, rtsSubtotal, 30);
-        }
-        if (preorderSubtotal > 0) {
-          cacheSet(`${destKey}:po:${groupId}`, preorderSubtotal, 30);
-        }
+// Main shipping rates endpoint
+app.post('/rates', withShop, async (req, res) => {
+  const startTime = Date.now();
+  const { shop } = req;
+  const { rate } = req.body;
+
+  // Kill switch, promotion and threshold windows in effect right now
+  const { config, active } = applySchedule(shop.config, startTime);
+  const trace = { schedule: active.map(window => window.name || window.id) };
+
+  // Check kill switch
+  if (config.killSwitch) {
+    recordQuote(shop, rate, { result: 'kill-switch', rates: [], trace, startTime });
+    return res.json({ rates: [] });
+  }
 
-        // Delay to let concurrent delivery group requests land.
-        // Shopify sends all delivery group requests near-simultaneously,
-        // but network latency means they arrive ~100-500ms apart.
-        await new Promise(resolve => setTimeout(resolve, 750));
-
-        // Sum all RTS subtotals for this destination
-        if (rtsSubtotal > 0) {
-          const rtsKeys = cacheKeys(`${destKey}:rts:*`);
-          if (rtsKeys.length > 1) {
-            combinedRtsTotal = rtsKeys.reduce((sum, k) => sum + (cacheGet(k) || 0), 0);
-            console.log(`Cross-location RTS: ${rtsKeys.length} groups, combined $${combinedRtsTotal/100}`);
-          }
-        }
+  if (!rate || !rate.items) {
+    return res.status(400).json({ error: 'Invalid rate request format' });
+  }
 
-        // Sum all PO subtotals for this destination
-        if (preorderSubtotal > 0) {
-          const poKeys = cacheKeys(`${destKey}:po:*`);
-          if (poKeys.length > 1) {
-            combinedPoTotal = poKeys.reduce((sum, k) => sum + (cacheGet(k) || 0), 0);
-            console.log(`Cross-location PO: ${poKeys.length} groups, combined $${combinedPoTotal/100}`);
-          }
-        }
-      } catch (e) {
-        console.log('Cross-location tracking error (non-fatal):', e.message);
-        // Fall back to per-group threshold
-      }
-    }
+  // Shopify gives up on slow carrier callbacks and shows no shipping at all,
+  // so answer with fallback rates rather than miss the deadline
+  const deadline = createDeadline(config.deadline.budgetMs);
 
-    const rates = [];
-
-    // Emit RTS rate if there are RTS items
-    // Use combinedRtsTotal for threshold check (cross-location aware)
-    if (rtsSubtotal > 0) {
-      const rtsPrice = combinedRtsTotal >= appConfig.threshold ? 0 : appConfig.feeUnderThreshold;
-      rates.push({
-        service_name: appConfig.labels.rts,
-        service_code: "RTS_STD",
-        total_price: rtsPrice.toString(),
-        currency: appConfig.currency,
-        description: appConfig.descriptions.rts
-      });
+  try {
+    const outcome = await deadline.race(calculateRates(shop, rate, { config, startTime, deadline, trace }));
+
+    if (outcome.timedOut) {
+      latency.record('rates_timeout', Date.now() - startTime);
+      console.warn(`Rate calculation exceeded ${deadline.budgetMs}ms budget — returning fallback rates`);
+      const fallbackRates = buildFallbackRates(config, rate);
+      recordQuote(shop, rate, { result: 'timeout', rates: fallbackRates, trace, startTime });
+      return res.json({ rates: fallbackRates });
     }
 
-    // Emit Pre-Order rate if there are PO items
-    // Use combinedPoTotal for threshold check (cross-location aware)
-    if (preorderSubtotal > 0) {
-      const poPrice = combinedPoTotal >= appConfig.threshold ? 0 : appConfig.feeUnderThreshold;
-      rates.push({
-        service_name: appConfig.labels.po,
-        service_code: "PO_STD",
-        total_price: poPrice.toString(),
-        currency: appConfig.currency,
-        description: appConfig.descriptions.po
-      });
-    }
+    recordQuote(shop, rate, { result: trace.outcome, rates: outcome.value, trace, startTime });
+    res.json({ rates: outcome.value });
 
-    const processingTime = Date.now() - startTime;
-    console.log(`Rates calculated in ${processingTime}ms for ${rate.items.length} items`);
-    console.log(`RTS subtotal: $${rtsSubtotal/100} (combined: $${combinedRtsTotal/100}), PO subtotal: $${preorderSubtotal/100}`);
-    
-    res.json({ rates });
-    
   } catch (error) {
     console.error('Rate calculation error:', error);
+    const fallbackRates = buildFallbackRates(config, rate);
+    recordQuote(shop, rate, { result: 'error', rates: fallbackRates, trace, startTime });
+    if (fallbackRates.length > 0) {
+      return res.json({ rates: fallbackRates });
+    }
     res.status(500).json({ 
       error: 'Rate calculation failed',
       rates: [] 
     });
+  } finally {
+    deadline.clear();
   }
 });
 
-// Webhook for product updates (to invalidate cache)
-app.post('/webhook/product-update', express.raw({ type: 'application/json' }), async (req, res) => {
+// Rates for a cart without going through checkout: the same pricing as /rates
+// plus a step-by-step trace of every decision. Accepts the payload Shopify
+// sends ({ rate }) or a simpler { cart } (see lib/preview.js). at (ISO date)
+// previews the schedule at another time. Nothing is written to the
+// cross-location pool, status cache, metrics or quote log.
+app.post('/rates/preview', withShop, async (req, res) => {
+  const startTime = Date.now();
+  const { shop } = req;
+  const { cart, at } = req.body;
+  let { rate } = req.body;
+
+  const pricedAt = at === undefined ? startTime : Date.parse(at);
+  if (Number.isNaN(pricedAt)) {
+    return res.status(400).json({ error: 'Invalid date', details: 'at must be an ISO date' });
+  }
+
+  if (cart !== undefined) {
+    const cartError = validatePreviewCart(cart);
+    if (cartError) {
+      return res.status(400).json({ error: 'Invalid cart', details: cartError });
+    }
+    rate = cartToRate(cart, shop.config.currency);
+  }
+  if (!rate || !Array.isArray(rate.items)) {
+    return res.status(400).json({ error: 'Invalid preview request', details: 'Send { rate } as Shopify posts to /rates, or { cart }' });
+  }
+
+  const steps = [];
+  const { config, active } = applySchedule(shop.config, pricedAt);
+  if (active.length > 0) {
+    steps.push({
+      step: 'schedule',
+      at: new Date(pricedAt).toISOString(),
+      active: active.map(window => `${window.name || window.id} (${window.type})`)
+    });
+  }
+  if (config.killSwitch) {
+    steps.push({ step: 'kill-switch', result: 'Kill switch is on - /rates returns no rates' });
+    return res.json({ shop: shop.domain, rates: [], outcome: 'kill-switch', duration_ms: 0, rate, trace: steps });
+  }
+
+  const deadline = createDeadline(config.deadline.budgetMs);
+  const trace = { steps };
   try {
-    const hmac = req.get('X-Shopify-Hmac-Sha256');
-    const body = req.body;
-    
-    if (!verifyWebhook(body, hmac)) {
-      return res.status(401).send('Unauthorized');
+    const rates = await calculateRates(shop, rate, { config, startTime, now: pricedAt, deadline, trace, preview: true });
+    const durationMs = Date.now() - startTime;
+    res.json({
+      shop: shop.domain,
+      rates,
+      outcome: trace.outcome,
+      duration_ms: durationMs,
+      within_budget: durationMs <= deadline.budgetMs,
+      rate,
+      trace: steps
+    });
+  } catch (error) {
+    console.error('Rate preview error:', error);
+    res.status(500).json({ error: 'Rate preview failed', details: error.message, trace: steps });
+  } finally {
+    deadline.clear();
+  }
+});
+
+// Replay recorded requests against a candidate config (see lib/replay.js):
+//   { candidate: { ...partial config as for POST /config },
+//     payloads: "JSONL" or [ ... ],        - omit to replay the quote log
+//     from, to, limit (default 500),       - quote log filters
+//     statuses: { variantId: "po" | "rts" }, defaultStatus: "rts" }
+// Reports the quotes whose rates would change; nothing is saved.
+app.post('/replay', withShop, async (req, res) => {
+  const { shop } = req;
+  const { candidate = {}, payloads, statuses = {}, defaultStatus = 'rts', products = {}, from, to, limit } = req.body;
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return res.status(400).json({ error: 'Invalid candidate', details: 'candidate must be a config object' });
+  }
+  const invalid = validateConfigUpdate(candidate, shop.config);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+  const statusError = validateStatusStubs(statuses);
+  if (statusError) {
+    return res.status(400).json({ error: 'Invalid statuses', details: statusError });
+  }
+  if (defaultStatus !== 'rts' && defaultStatus !== 'po') {
+    return res.status(400).json({ error: 'Invalid defaultStatus', details: 'defaultStatus must be rts or po' });
+  }
+  const productError = validateProductStubs(products);
+  if (productError) {
+    return res.status(400).json({ error: 'Invalid products', details: productError });
+  }
+  if (payloads !== undefined && typeof payloads !== 'string' && !Array.isArray(payloads)) {
+    return res.status(400).json({ error: 'Invalid payloads', details: 'payloads must be JSONL text or an array' });
+  }
+  const [fromMs, toMs] = [from, to].map(value => {
+    if (!value) return null;
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  });
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO dates or millisecond timestamps' });
+  }
+
+  try {
+    let input = payloads;
+    if (input === undefined) {
+      const { quotes } = await shop.quoteLog.query({ from: fromMs, to: toMs, limit: Math.min(parseInt(limit, 10) || 500, 5000) });
+      input = quotes;
     }
-    
-    const product = JSON.parse(body.toString());
+
+    const { entries, skipped } = parseReplayInput(input);
+    const current = structuredClone(shop.config);
+    const proposed = applyConfigUpdate(structuredClone(shop.config), candidate);
+    const report = await replayQuotes(entries, { current, candidate: proposed, statuses, defaultStatus, products });
+
+    res.json({ shop: shop.domain, source: payloads === undefined ? 'quote-log' : 'payloads', ...report, skipped });
+  } catch (error) {
+    console.error('Replay error:', error);
+    res.status(500).json({ error: 'Replay failed', details: error.message });
+  }
+});
+
+// Shared by every webhook route (after express.raw): checks the HMAC, skips
+// deliveries that were already handled and parses the payload into req.webhook
+async function verifiedWebhook(req, res, next) {
+  if (!verifyWebhook(req.body, req.get('X-Shopify-Hmac-Sha256'), process.env.SHOPIFY_WEBHOOK_SECRET)) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  const id = req.get('X-Shopify-Webhook-Id');
+  const topic = req.get('X-Shopify-Topic');
+  const domain = normalizeShopDomain(req.get('X-Shopify-Shop-Domain'));
+
+  if (id && domain && await webhookDeliveries.seen(domain, id)) {
+    console.log(`Webhook ${id} (${topic}) for ${domain} already handled - skipping`);
+    return res.status(200).send('Already processed');
+  }
+
+  try {
+    req.webhook = { id, topic, payload: JSON.parse(req.body.toString()) };
+  } catch (error) {
+    return res.status(400).send('Invalid JSON payload');
+  }
+  next();
+}
+
+// Mark the delivery handled once its work is done, so Shopify retries of a
+// failed delivery still get processed
+async function completeWebhook(req, res) {
+  if (req.webhook.id) {
+    await webhookDeliveries.record(req.shop.domain, req.webhook.id, req.webhook.topic);
+  }
+  res.status(200).send('OK');
+}
+
+// Drop cached pre-order statuses so the next rate request looks them up again
+async function invalidateVariantStatuses(shop, variantIds) {
+  await Promise.all(variantIds.flatMap(id => [
+    shop.cache.del(`preproduct_variant_${id}`),
+    shop.cache.del(`preproduct_lkg_${id}`)
+  ]));
+}
+
+// Variant IDs for inventory items, in one GraphQL nodes query
+async function getVariantIdsForInventoryItems(shop, inventoryItemIds) {
+  const response = await shopifyFetch(shop, 'graphql.json', {
+    method: 'POST',
+    body: JSON.stringify({
+      query: `query InventoryItemVariants($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem { id variant { id } }
+        }
+      }`,
+      variables: { ids: inventoryItemIds.map(id => `gid://shopify/InventoryItem/${id}`) }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch inventory items: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+
+  return (data.data?.nodes || []).filter(node => node?.variant?.id).map(node => gidToId(node.variant.id));
+}
+
+// Webhook for product updates (to invalidate cache)
+app.post(WEBHOOK_TOPICS['products/update'], express.raw({ type: 'application/json' }), verifiedWebhook, withShop, async (req, res) => {
+  try {
+    const product = req.webhook.payload;
     
     // Invalidate cache for all variants of this product
     if (product.variants) {
-      for (const variant of product.variants) {
-        cacheDel(`preproduct_variant_${variant.id}`);
-      }
+      await invalidateVariantStatuses(req.shop, product.variants.map(variant => variant.id));
       console.log(`Cache invalidated for product ${product.id} with ${product.variants.length} variants`);
     }
 
-    // Invalidate product cache for mystery box detection
-    cacheDel(`product_data_${product.id}`);
+    // Invalidate product cache for promotion detection
+    await req.shop.cache.del(`product_data_${product.id}`);
     console.log(`Product cache invalidated for product ${product.id}`);
     
-    res.status(200).send('OK');
+    await completeWebhook(req, res);
     
   } catch (error) {
     console.error('Webhook error:', error);
@@ -856,36 +1274,192 @@ app.post('/webhook/product-update', express.raw({ type: 'application/json' }), a
   }
 });
 
+// Webhook for deleted products. The payload only has the product ID; cached
+// statuses of its variants expire on their own.
+app.post(WEBHOOK_TOPICS['products/delete'], express.raw({ type: 'application/json' }), verifiedWebhook, withShop, async (req, res) => {
+  try {
+    const { id } = req.webhook.payload;
+    await req.shop.cache.del(`product_data_${id}`);
+    console.log(`Product ${id} deleted - product cache invalidated`);
+
+    await completeWebhook(req, res);
+
+  } catch (error) {
+    console.error('Product delete webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Webhook for inventory changes. Stock can flip the inventory status provider,
+// so the affected variant's cached status is dropped. The payload only has the
+// inventory item, so its variant is looked up first.
+app.post(WEBHOOK_TOPICS['inventory_levels/update'], express.raw({ type: 'application/json' }), verifiedWebhook, withShop, async (req, res) => {
+  try {
+    const { inventory_item_id: inventoryItemId, available } = req.webhook.payload;
+    const variantIds = await getVariantIdsForInventoryItems(req.shop, [inventoryItemId]);
+
+    await invalidateVariantStatuses(req.shop, variantIds);
+    console.log(`Inventory item ${inventoryItemId} now ${available} available - status invalidated for variants ${variantIds.join(', ') || '(none)'}`);
+
+    await completeWebhook(req, res);
+
+  } catch (error) {
+    console.error('Inventory webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Webhook for uninstalls: the token is already revoked, so remove everything
+// kept for the shop
+app.post(WEBHOOK_TOPICS['app/uninstalled'], express.raw({ type: 'application/json' }), verifiedWebhook, withShop, async (req, res) => {
+  try {
+    const result = await shops.purge(req.shop.domain);
+    console.log(`🗑️ ${result.shop} uninstalled - token ${result.tokenRemoved ? 'removed' : 'not stored'}, ` +
+      `${result.cacheEntriesRemoved} cache entries cleared, config ${result.configRemoved ? 'removed' : 'kept (env shop)'}`);
+
+    await completeWebhook(req, res);
+
+  } catch (error) {
+    console.error('Uninstall webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
 // Configuration endpoints (for app UI)
-app.get('/config', (req, res) => {
-  res.json(appConfig);
+app.get('/config', withShop, (req, res) => {
+  res.json(req.shop.config);
 });
 
-app.post('/config', (req, res) => {
-  const { threshold, feeUnderThreshold, labels, descriptions, promotion, killSwitch } = req.body;
-  
-  if (threshold !== undefined) appConfig.threshold = threshold;
-  if (feeUnderThreshold !== undefined) appConfig.feeUnderThreshold = feeUnderThreshold;
-  if (labels) appConfig.labels = { ...appConfig.labels, ...labels };
-  if (descriptions) appConfig.descriptions = { ...appConfig.descriptions, ...descriptions };
-  if (promotion) appConfig.promotion = { ...appConfig.promotion, ...promotion };
-  if (killSwitch !== undefined) appConfig.killSwitch = killSwitch;
-  
-  res.json({ success: true, config: appConfig });
+// Scheduled windows with their status, and what is in effect right now
+app.get('/schedule', withShop, (req, res) => {
+  const now = Date.now();
+  const { config, active } = applySchedule(req.shop.config, now);
+  res.json({
+    shop: req.shop.domain,
+    now: new Date(now).toISOString(),
+    effective: {
+      killSwitch: config.killSwitch,
+      promotion: config.promotion.enabled,
+      threshold: config.threshold,
+      feeUnderThreshold: config.feeUnderThreshold,
+      active: active.map(window => window.id)
+    },
+    windows: describeSchedule(req.shop.config.schedule, now)
+  });
+});
+
+app.post('/config', withShop, async (req, res) => {
+  try {
+    const { config, configStore } = req.shop;
+    const invalid = validateConfigUpdate(req.body, config);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    // The live config only changes once the new version is saved
+    const updated = applyConfigUpdate(structuredClone(config), req.body);
+    const { note } = req.body;
+    const version = await configStore.save(updated, { source: 'admin', note });
+    req.shop.replaceConfig(updated);
+
+    res.json({ success: true, config: req.shop.config, version: version.version });
+  } catch (error) {
+    console.error('Config save error:', error);
+    res.status(500).json({ error: 'Failed to save configuration', details: error.message });
+  }
+});
+
+// Config version history
+app.get('/config/versions', withShop, async (req, res) => {
+  try {
+    const { configStore } = req.shop;
+    res.json({
+      current: await configStore.currentVersion(),
+      versions: await configStore.list()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/config/versions/:version', withShop, async (req, res) => {
+  try {
+    const entry = await req.shop.configStore.get(req.params.version);
+    if (!entry) {
+      return res.status(404).json({ error: `Config version ${req.params.version} not found` });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff two versions (?from=3&to=5). "to" defaults to the live config.
+app.get('/config/diff', withShop, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'Missing from parameter' });
+    }
+
+    const { config, configStore } = req.shop;
+    const fromEntry = await configStore.get(from);
+    const toEntry = to ? await configStore.get(to) : { version: 'current', config };
+    if (!fromEntry || !toEntry) {
+      return res.status(404).json({ error: `Config version ${!fromEntry ? from : to} not found` });
+    }
+
+    res.json({
+      from: fromEntry.version,
+      to: toEntry.version,
+      changes: diffConfigs(fromEntry.config, toEntry.config)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/config/rollback', withShop, async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (version === undefined) {
+      return res.status(400).json({ error: 'Missing version' });
+    }
+
+    const rolledBack = await req.shop.configStore.rollback(version);
+    if (!rolledBack) {
+      return res.status(404).json({ error: `Config version ${version} not found` });
+    }
+
+    req.shop.replaceConfig(rolledBack.config);
+    console.log(`${req.shop.domain}: config rolled back to version ${version} (saved as version ${rolledBack.version})`);
+
+    res.json({ success: true, config: req.shop.config, version: rolledBack.version, rolledBackFrom: rolledBack.rolledBackFrom });
+  } catch (error) {
+    console.error('Config rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back configuration', details: error.message });
+  }
 });
 
 // Cache stats endpoint
-app.get('/cache/stats', async (req, res) => {
+app.get('/cache/stats', withShop, async (req, res) => {
   try {
-    const variantKeys = cacheKeys('preproduct_variant_*');
-    const productKeys = cacheKeys('product_data_*');
+    const { cache } = req.shop;
+    const variantKeys = await cache.keys('preproduct_variant_*');
+    const lastKnownKeys = await cache.keys('preproduct_lkg_*');
+    const productKeys = await cache.keys('product_data_*');
+    const cacheStats = await cache.stats();
 
     res.json({
-      cache_type: 'in-memory',
-      total_entries: cache.size,
+      shop: req.shop.domain,
+      cache_type: cache.kind,
+      total_entries: cacheStats.entries,
+      redis_connected: cache.kind === 'redis' && cacheStats.connected,
+      memory_info: cacheStats.memory_info,
       cached_variants: variantKeys.length,
+      last_known_variants: lastKnownKeys.length,
       cached_products: productKeys.length,
-      cache_prefixes: ['preproduct_variant_', 'product_data_'],
+      cache_prefixes: ['preproduct_variant_', 'preproduct_lkg_', 'product_data_'],
       batchy_api: process.env.BATCHY_API_KEY ? 'configured' : 'missing'
     });
   } catch (error) {
@@ -894,14 +1468,16 @@ app.get('/cache/stats', async (req, res) => {
 });
 
 // Clear cache endpoint
-app.post('/cache/clear', async (req, res) => {
+app.post('/cache/clear', withShop, async (req, res) => {
   try {
-    const variantKeys = cacheKeys('preproduct_variant_*');
-    const productKeys = cacheKeys('product_data_*');
-    const allKeys = [...variantKeys, ...productKeys];
+    const { cache } = req.shop;
+    const variantKeys = await cache.keys('preproduct_variant_*');
+    const lastKnownKeys = await cache.keys('preproduct_lkg_*');
+    const productKeys = await cache.keys('product_data_*');
+    const allKeys = [...variantKeys, ...lastKnownKeys, ...productKeys];
 
     for (const key of allKeys) {
-      cacheDel(key);
+      await cache.del(key);
     }
 
     res.json({
@@ -915,15 +1491,28 @@ app.post('/cache/clear', async (req, res) => {
 });
 
 // Test PreProduct API endpoint (for debugging)
-app.get('/test-preproduct/:productId/:variantId', async (req, res) => {
+app.get('/test-preproduct/:productId/:variantId', withShop, async (req, res) => {
   try {
     const { productId, variantId } = req.params;
-    const isPreOrder = await fetchPreProductStatus(productId, variantId);
+    const { shop } = req;
+    const batchy = await fetchPreProductStatus(shop, productId, variantId);
+    const isPreOrder = batchy ? batchy.isPreOrder : null;
+    // The whole provider chain, without caching the result
+    const [chain] = (await resolveWithProviders(shop.config.statusProviders, [variantId], {
+      batchy: pending => fetchBatchyStatuses(shop, pending, new Map([[variantId, productId]])),
+      variantDetails: pending => getVariantDetails(shop, pending, shop.config.statusProviders)
+    })).values();
     
     res.json({
       productId,
       variantId,
       isPreOrder,
+      status: isPreOrder === null ? 'unknown' : 'confirmed',
+      batchy_status: batchy?.status ?? null,
+      ship_date: batchy?.shipDate ?? null,
+      providers: shop.config.statusProviders.map(provider => provider.type),
+      chain,
+      batchy_circuit: batchyBreaker.snapshot().state,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -935,53 +1524,47 @@ app.get('/test-preproduct/:productId/:variantId', async (req, res) => {
   }
 });
 
-// Test endpoint for mystery box detection (with caching)
-app.get('/test-product-detection/:productId', async (req, res) => {
+// Test endpoint for promotion detection (with caching). Runs the same detection
+// as /rates and reports the mode that would apply; pass ?sku= to try SKU prefix matchers.
+app.get('/test-product-detection/:productId', withShop, async (req, res) => {
   try {
     const { productId } = req.params;
     
     // Use the same cached function as the main logic
-    const productData = await getCachedProductData(productId);
+    const productData = await getCachedProductData(req.shop, productId);
     
     if (!productData) {
       throw new Error('Product not found or API error');
     }
     
-    // Check for mystery box detection using same logic as main function
-    let isMysteryBox = false;
-    let detectionMethod = 'none';
-    
-    // Check product tags
-    const productTags = productData.tags ? productData.tags.split(',').map(tag => tag.trim().toLowerCase()) : [];
-    const hasTagMatch = productTags.some(tag => 
-      tag.includes('mysterybox') || 
-      tag.includes('mystery-box') || 
-      tag.includes('mystery box')
-    );
-    
-    // Check product title
-    const titleLower = productData.title.toLowerCase();
-    const hasTitleMatch = titleLower.includes('mystery box') || titleLower.includes('mysterybox');
-    
-    if (hasTagMatch && hasTitleMatch) {
-      isMysteryBox = true;
-      detectionMethod = 'Both tag and title';
-    } else if (hasTagMatch) {
-      isMysteryBox = true;
-      detectionMethod = 'Product tag';
-    } else if (hasTitleMatch) {
-      isMysteryBox = true;
-      detectionMethod = 'Product title';
-    }
+    const config = req.shop.config;
+    const item = {
+      product_id: productId,
+      title: productData.title,
+      sku: typeof req.query.sku === 'string' ? req.query.sku : ''
+    };
+    const promotions = resolvePromotions(config);
+    const match = detectPromotion(promotions, item, productData);
     
     res.json({
       productId: productId,
       title: productData.title,
       tags: productData.tags || 'No tags',
-      isMysteryBox: isMysteryBox,
-      detectionMethod: detectionMethod,
-      tagMatch: hasTagMatch,
-      titleMatch: hasTitleMatch,
+      productType: productData.product_type || null,
+      vendor: productData.vendor || null,
+      sku: item.sku || null,
+      promotionsEnabled: config.promotion.enabled,
+      promotion: match ? match.promotion.id : null,
+      promotionName: match ? match.promotion.name : null,
+      matchedBy: match ? match.matchedBy : null,
+      mode: match ? match.promotion.mode : null,
+      checks: promotions.map(promotion => ({
+        promotion: promotion.id,
+        name: promotion.name,
+        priority: promotion.priority || 0,
+        mode: promotion.mode,
+        matchedBy: matchPromotion(promotion, item, productData)
+      })),
       cached: true,
       timestamp: new Date().toISOString()
     });
@@ -1015,8 +1598,9 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  await cache.close().catch(error => console.error('Error closing cache:', error.message));
   process.exit(0);
 });
 
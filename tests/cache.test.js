@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { createMemoryCache, createRedisCache, namespaceCache } from '../lib/cache.js';
+
+// The Redis backend runs against a real server when REDIS_URL is set, e.g.
+//   docker run --rm -p 6379:6379 redis:7
+//   REDIS_URL=redis://localhost:6379 npm test -- tests/cache.test.js
+const backends = [['in-memory', () => createMemoryCache()]];
+if (process.env.REDIS_URL) {
+  backends.push(['redis', () => createRedisCache({ url: process.env.REDIS_URL })]);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe.each(backends)('%s cache', (kind, create) => {
+  let cache;
+  let prefix;
+
+  beforeAll(async () => {
+    cache = create();
+    if (cache.connect) await cache.connect();
+  });
+
+  afterAll(async () => {
+    for (const key of await cache.keys(`${prefix}*`)) {
+      await cache.del(key);
+    }
+    await cache.close();
+  });
+
+  beforeEach(() => {
+    prefix = `test:${crypto.randomUUID()}:`;
+  });
+
+  test('Stores values until they expire', async () => {
+    await cache.set(`${prefix}variant`, true, 1);
+    await cache.set(`${prefix}product`, { title: 'Tee', tags: 'new' }, 60);
+
+    expect(await cache.get(`${prefix}variant`)).toBe(true);
+    expect(await cache.get(`${prefix}product`)).toEqual({ title: 'Tee', tags: 'new' });
+    expect(await cache.get(`${prefix}missing`)).toBeNull();
+
+    await sleep(1100);
+    expect(await cache.get(`${prefix}variant`)).toBeNull();
+  });
+
+  test('Finds keys by prefix and deletes them', async () => {
+    await cache.set(`${prefix}preproduct_variant_1`, false, 60);
+    await cache.set(`${prefix}preproduct_variant_2`, true, 60);
+    await cache.set(`${prefix}product_data_1`, {}, 60);
+
+    expect((await cache.keys(`${prefix}preproduct_variant_*`)).sort()).toEqual([
+      `${prefix}preproduct_variant_1`,
+      `${prefix}preproduct_variant_2`
+    ]);
+
+    await cache.del(`${prefix}preproduct_variant_1`);
+    expect(await cache.keys(`${prefix}preproduct_variant_*`)).toEqual([`${prefix}preproduct_variant_2`]);
+  });
+
+  test('Take returns a value once', async () => {
+    await cache.set(`${prefix}nonce`, 'one.myshopify.com', 60);
+
+    expect(await cache.take(`${prefix}nonce`)).toBe('one.myshopify.com');
+    expect(await cache.take(`${prefix}nonce`)).toBeNull();
+  });
+
+  test('Groups collect concurrent members, each with its own expiry', async () => {
+    const group = `${prefix}ship:order:10001:rts`;
+    await Promise.all([
+      cache.addToGroup(group, 'a', { subtotal: 3000, grams: 200 }, 1),
+      cache.addToGroup(group, 'b', { subtotal: 4000, grams: 300 }, 60)
+    ]);
+
+    const members = await cache.getGroup(group);
+    expect(members.map(m => m.subtotal).sort()).toEqual([3000, 4000]);
+
+    await sleep(1100);
+    expect(await cache.getGroup(group)).toEqual([{ subtotal: 4000, grams: 300 }]);
+    expect(await cache.getGroup(`${prefix}empty`)).toEqual([]);
+  });
+
+  test('Reports its backend', async () => {
+    expect(await cache.stats()).toMatchObject({ type: kind, connected: true });
+  });
+});
+
+describe('Namespaced cache', () => {
+  test('Shops never see each other\'s keys', async () => {
+    const cache = createMemoryCache();
+    const one = namespaceCache(cache, 'one.myshopify.com:');
+    const two = namespaceCache(cache, 'two.myshopify.com:');
+
+    await one.set('preproduct_variant_1', true, 60);
+    await one.addToGroup('ship:order:abc', 'a', { subtotal: 100 }, 60);
+
+    expect(await two.get('preproduct_variant_1')).toBeNull();
+    expect(await two.getGroup('ship:order:abc')).toEqual([]);
+    expect(await one.keys('preproduct_variant_*')).toEqual(['preproduct_variant_1']);
+
+    await one.del('preproduct_variant_1');
+    expect(await cache.keys('one.myshopify.com:preproduct_*')).toEqual([]);
+    await cache.close();
+  });
+});
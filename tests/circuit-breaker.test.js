@@ -0,0 +1,51 @@
+import { createCircuitBreaker, CircuitOpenError } from '../lib/circuit-breaker.js';
+
+describe('Circuit breaker', () => {
+  let clock;
+  let breaker;
+  const fail = () => Promise.reject(new Error('Batchy API failed: 503'));
+  const succeed = () => Promise.resolve(true);
+
+  beforeEach(() => {
+    clock = 1000;
+    breaker = createCircuitBreaker({ name: 'Batchy', failureThreshold: 2, resetTimeoutMs: 5000, now: () => clock });
+  });
+
+  test('Opens after consecutive failures and then fails fast', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow('503');
+    expect(breaker.snapshot().state).toBe('closed');
+    await expect(breaker.exec(fail)).rejects.toThrow('503');
+
+    expect(breaker.isOpen()).toBe(true);
+    let called = false;
+    await expect(breaker.exec(() => { called = true; return succeed(); })).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(called).toBe(false);
+  });
+
+  test('A success resets the failure count', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await breaker.exec(succeed);
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    expect(breaker.snapshot()).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  test('Half-open trial closes the circuit on success', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    clock += 5000;
+    expect(breaker.snapshot().state).toBe('half_open');
+    expect(await breaker.exec(succeed)).toBe(true);
+    expect(breaker.snapshot()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('Half-open trial re-opens the circuit on failure', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    clock += 5000;
+    await expect(breaker.exec(fail)).rejects.toThrow('503');
+    expect(breaker.snapshot()).toMatchObject({ state: 'open', last_error: 'Batchy API failed: 503' });
+  });
+});
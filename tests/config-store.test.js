@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createConfigStore, diffConfigs } from '../lib/config-store.js';
+
+describe('Config store', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ship-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('Nothing saved → load returns null', async () => {
+    const store = createConfigStore({ dir });
+    expect(await store.load()).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+
+  test('Each save creates a numbered version that survives a restart', async () => {
+    const store = createConfigStore({ dir });
+    await store.save({ threshold: 5000 });
+    const saved = await store.save({ threshold: 7500 }, { note: 'Raise threshold' });
+
+    expect(saved.version).toBe(2);
+
+    // New store instance reads the same file, like a fresh process would
+    const restarted = createConfigStore({ dir });
+    expect(await restarted.load()).toEqual({ threshold: 7500 });
+    expect(await restarted.currentVersion()).toBe(2);
+    expect((await restarted.list()).map(v => v.version)).toEqual([2, 1]);
+  });
+
+  test('Concurrent saves get distinct versions', async () => {
+    const store = createConfigStore({ dir });
+    const results = await Promise.all([
+      store.save({ threshold: 1 }),
+      store.save({ threshold: 2 }),
+      store.save({ threshold: 3 })
+    ]);
+
+    expect(results.map(r => r.version).sort()).toEqual([1, 2, 3]);
+  });
+
+  test('Rollback saves the old config as a new version', async () => {
+    const store = createConfigStore({ dir });
+    await store.save({ threshold: 5000, killSwitch: false });
+    await store.save({ threshold: 9000, killSwitch: true });
+
+    const rolledBack = await store.rollback(1);
+
+    expect(rolledBack).toMatchObject({ version: 3, rolledBackFrom: 1 });
+    expect(await store.load()).toEqual({ threshold: 5000, killSwitch: false });
+    expect(await store.rollback(42)).toBeNull();
+  });
+
+  test('Diff lists changed paths', () => {
+    const changes = diffConfigs(
+      { threshold: 5000, labels: { rts: 'Ships Now', po: 'Ships Later' } },
+      { threshold: 7500, labels: { rts: 'Ships Now', po: 'Pre-Order' }, killSwitch: true }
+    );
+
+    expect(changes).toEqual([
+      { path: 'killSwitch', from: null, to: true },
+      { path: 'labels.po', from: 'Ships Later', to: 'Pre-Order' },
+      { path: 'threshold', from: 5000, to: 7500 }
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { validateConfigUpdate, applyConfigUpdate } from '../lib/config-update.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+describe('Config updates', () => {
+  test('Only the sections sent are validated', () => {
+    expect(validateConfigUpdate({ threshold: 7500, labels: { rts: 'Now' } })).toBeNull();
+    expect(validateConfigUpdate({ currency: 'usd' })).toEqual({ error: 'Invalid currency', details: expect.stringMatching(/ISO/) });
+    expect(validateConfigUpdate({ rules: 'nope' })).toMatchObject({ error: 'Invalid rules' });
+    expect(validateConfigUpdate({ threshold: 'abc' })).toEqual({ error: 'Invalid threshold', details: expect.stringMatching(/cents/) });
+    expect(validateConfigUpdate({ feeUnderThreshold: 4.99 })).toMatchObject({ error: 'Invalid fee' });
+    expect(validateConfigUpdate({ killSwitch: 'on' })).toMatchObject({ error: 'Invalid kill switch' });
+    expect(validateConfigUpdate({ labels: { rts: 5 } })).toMatchObject({ error: 'Invalid labels' });
+    expect(validateConfigUpdate({ descriptions: ['Ready'] })).toMatchObject({ error: 'Invalid descriptions' });
+    expect(validateConfigUpdate({ promotion: { flatRate: '6.95' } })).toMatchObject({ error: 'Invalid promotion settings' });
+  });
+
+  test('Schedule windows may only target promotions that exist after the update', () => {
+    const window = { type: 'promotion', promotionId: 'pins', start: '2026-11-27T00:00', end: '2026-11-28T00:00' };
+    const config = { ...defaultConfig, promotions: [{ id: 'stickers' }] };
+
+    expect(validateConfigUpdate({ schedule: [window] }, config)).toEqual({ error: 'Invalid schedule', details: expect.stringMatching(/"pins"/) });
+    expect(validateConfigUpdate({ schedule: [window], promotions: [{ id: 'pins', match: { tags: ['pins'] }, flatRate: 295 }] }, config)).toBeNull();
+    expect(validateConfigUpdate({ schedule: [{ ...window, promotionId: 'stickers' }] }, config)).toBeNull();
+  });
+
+  test('Service levels are checked against the levels saved in the other bucket', () => {
+    const rush = { id: 'rush', serviceCode: 'RUSH', price: { base: 900 } };
+    const config = applyConfigUpdate(structuredClone(defaultConfig), { serviceLevels: { po: [rush] } });
+
+    expect(validateConfigUpdate({ serviceLevels: { rts: [rush] } }, config)).toMatchObject({ error: 'Invalid service levels' });
+    expect(validateConfigUpdate({ serviceLevels: { rts: [rush], po: [] } }, config)).toBeNull();
+  });
+
+  test('Object sections are merged into the current values', () => {
+    const config = applyConfigUpdate(structuredClone(defaultConfig), {
+      threshold: 7500,
+      labels: { po: 'Later' },
+      crossLocation: { windowMs: 500 }
+    });
+
+    expect(config.threshold).toBe(7500);
+    expect(config.labels).toEqual({ ...defaultConfig.labels, po: 'Later' });
+    expect(config.crossLocation).toEqual({ ...defaultConfig.crossLocation, windowMs: 500 });
+    expect(defaultConfig.threshold).toBe(5000);
+  });
+});
@@ -0,0 +1,128 @@
+import { createMemoryCache } from '../lib/cache.js';
+import {
+  destinationKey,
+  groupSignature,
+  aggregateDeliveryGroups,
+  combineTotals,
+  validateCrossLocationSettings
+} from '../lib/cross-location.js';
+
+describe('Cross-location aggregation', () => {
+  const destination = {
+    country: 'US', province: 'NY', postal_code: '10001', city: 'New York',
+    address1: '9 Main St', address2: 'Apt 4', name: 'Ada Lovelace'
+  };
+  const rateFrom = (origin, items, dest = destination) => ({
+    origin: { country: 'US', postal_code: origin },
+    destination: dest,
+    items,
+    currency: 'USD'
+  });
+  const east = rateFrom('10001', [{ variant_id: 1, quantity: 1, price: 3000 }]);
+  const west = rateFrom('90210', [{ variant_id: 2, quantity: 2, price: 2000 }]);
+  const totals = (rts, po = 0) => ({ rts: { subtotal: rts, grams: 100 }, po: { subtotal: po, grams: 0 } });
+
+  let cache;
+  beforeEach(() => {
+    cache = createMemoryCache();
+  });
+  afterEach(() => cache.close());
+
+  test('Destination key uses the full address, not just postal code + address1', () => {
+    const neighbour = { ...destination, address2: 'Apt 7', name: 'Grace Hopper' };
+    expect(destinationKey(east)).toBe(destinationKey(west));
+    expect(destinationKey(east)).toBe(destinationKey(rateFrom('10001', [], { ...destination, address1: ' 9  MAIN st ' })));
+    expect(destinationKey(east)).not.toBe(destinationKey(rateFrom('10001', [], neighbour)));
+    expect(destinationKey(east)).not.toBe(destinationKey({ ...east, currency: 'CAD' }));
+  });
+
+  test('Group signature is stable for the same origin and items', () => {
+    const reordered = rateFrom('10001', [...east.items].reverse());
+    expect(groupSignature(east)).toBe(groupSignature(reordered));
+    expect(groupSignature(east)).not.toBe(groupSignature(west));
+  });
+
+  const quoteAlone = rate => aggregateDeliveryGroups(cache, rate, totals(1000), { windowMs: 0 });
+
+  test('A shop that has only quoted from one origin does not wait', async () => {
+    const started = Date.now();
+    const { combined, trace } = await aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 750, pollMs: 20 });
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(trace).toMatchObject({ expected: 1, expected_source: 'origins', resolved_by: 'single-location' });
+    expect(combined).toEqual(totals(3000));
+  });
+
+  test('Without a configured count, the origins the shop quotes from set the expected groups', async () => {
+    await quoteAlone(east);
+    await quoteAlone(west);
+    await cache.del(destinationKey(east)); // those quotes' groups have since expired
+
+    const started = Date.now();
+    const [a, b] = await Promise.all([
+      aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 2000, pollMs: 20 }),
+      aggregateDeliveryGroups(cache, west, totals(4000), { windowMs: 2000, pollMs: 20 })
+    ]);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(a.combined.rts.subtotal).toBe(7000);
+    expect(b.combined.rts.subtotal).toBe(7000);
+    expect(a.trace).toMatchObject({ expected: 2, expected_source: 'origins', resolved_by: 'expected' });
+    expect(a.trace.groups).toHaveLength(2);
+  });
+
+  test('A cart from one of several origins waits the full window', async () => {
+    await quoteAlone(east);
+    await quoteAlone(west);
+    await cache.del(destinationKey(east));
+
+    const { combined, trace } = await aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 100, pollMs: 20 });
+    expect(trace).toMatchObject({ expected: 2, resolved_by: 'window' });
+    expect(combined.rts.subtotal).toBe(3000);
+  });
+
+  test('Resolves early once the expected groups have arrived', async () => {
+    const started = Date.now();
+    const [a] = await Promise.all([
+      aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 2000, pollMs: 20, locations: 2 }),
+      aggregateDeliveryGroups(cache, west, totals(4000), { windowMs: 2000, pollMs: 20, locations: 2 })
+    ]);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(a.trace).toMatchObject({ expected: 2, expected_source: 'config', resolved_by: 'expected' });
+  });
+
+  test('Re-quoting the same group replaces it instead of adding to the total', async () => {
+    await aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 0, locations: 2 });
+    const again = await aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 0, locations: 2 });
+
+    expect(again.trace.groups).toHaveLength(1);
+    expect(again.combined.rts.subtotal).toBe(3000);
+  });
+
+  test('A re-quote after the cart changes replaces that location\'s group', async () => {
+    await aggregateDeliveryGroups(cache, east, totals(3000), { windowMs: 0, locations: 2 });
+    const edited = rateFrom('10001', [{ variant_id: 1, quantity: 2, price: 3000 }]);
+    const again = await aggregateDeliveryGroups(cache, edited, totals(6000), { windowMs: 0, locations: 2 });
+
+    expect(again.trace.groups).toEqual([expect.objectContaining({ signature: groupSignature(edited) })]);
+    expect(again.combined.rts.subtotal).toBe(6000);
+  });
+
+  test('A single shipping location skips the pool entirely', async () => {
+    const { combined, trace } = await aggregateDeliveryGroups(cache, east, totals(3000, 1000), { windowMs: 750, locations: 1 });
+    expect(trace).toMatchObject({ resolved_by: 'single-location', waited_ms: 0 });
+    expect(combined).toEqual(totals(3000, 1000));
+    expect(await cache.keys('ship:order:*')).toEqual([]);
+  });
+
+  test('combineTotals and validation', () => {
+    expect(combineTotals([totals(1000, 500), { rts: { subtotal: 200, grams: 50 } }])).toEqual({
+      rts: { subtotal: 1200, grams: 150 },
+      po: { subtotal: 500, grams: 0 }
+    });
+    expect(validateCrossLocationSettings({ enabled: true, windowMs: 500, locations: null })).toBeNull();
+    expect(validateCrossLocationSettings({ windowMs: -1 })).toMatch(/windowMs/);
+    expect(validateCrossLocationSettings({ locations: 0 })).toMatch(/locations/);
+  });
+});
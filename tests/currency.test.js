@@ -0,0 +1,72 @@
+import {
+  createCurrencyContext,
+  localizeProfile,
+  validateExchangeRates,
+  validateCurrencyOverrides
+} from '../lib/currency.js';
+
+describe('Multi-currency', () => {
+  const config = {
+    currency: 'USD',
+    exchangeRates: { CAD: 1.36, EUR: 0.92 },
+    currencies: { CAD: { threshold: 7000 } }
+  };
+
+  test('Base currency passes amounts through', () => {
+    const money = createCurrencyContext(config, 'usd');
+    expect(money.currency).toBe('USD');
+    expect(money.supported).toBe(true);
+    expect(money.convert(500)).toBe(500);
+    expect(money.amount('threshold', 5000)).toBe(5000);
+  });
+
+  test('Missing rate.currency falls back to the base currency', () => {
+    expect(createCurrencyContext(config, undefined).currency).toBe('USD');
+  });
+
+  test('Other currencies convert, unless an amount is pinned', () => {
+    const money = createCurrencyContext(config, 'CAD');
+    expect(money.convert(500)).toBe(680);
+    expect(money.toBase(6800)).toBe(5000);
+    expect(money.amount('threshold', 5000)).toBe(7000);
+    expect(money.amount('feeUnderThreshold', 500)).toBe(680);
+  });
+
+  test('Zero-decimal currencies convert between minor units', () => {
+    const yen = createCurrencyContext({ ...config, exchangeRates: { JPY: 150 } }, 'JPY');
+    expect(yen.convert(500)).toBe(750); // $5.00 → ¥750
+    expect(yen.toBase(7500)).toBe(5000);
+
+    const dollars = createCurrencyContext({ currency: 'JPY', exchangeRates: { USD: 0.0067 } }, 'USD');
+    expect(dollars.convert(1000)).toBe(670); // ¥1000 → $6.70
+  });
+
+  test('Unknown currencies are flagged and priced unconverted', () => {
+    const money = createCurrencyContext(config, 'JPY');
+    expect(money.supported).toBe(false);
+    expect(money.convert(500)).toBe(500);
+  });
+
+  test('Zone amounts are converted, defaults use pinned amounts', () => {
+    const money = createCurrencyContext(config, 'CAD');
+    const profile = { threshold: 7500, feeUnderThreshold: 500, labels: {}, descriptions: {} };
+
+    expect(localizeProfile(profile, { threshold: 7500 }, money)).toMatchObject({
+      threshold: 10200,
+      feeUnderThreshold: 680
+    });
+    expect(localizeProfile({ ...profile, threshold: 5000 }, null, money)).toMatchObject({
+      threshold: 7000,
+      feeUnderThreshold: 680
+    });
+  });
+
+  test('Validation', () => {
+    expect(validateExchangeRates(config.exchangeRates)).toBeNull();
+    expect(validateExchangeRates({ cad: 1.3 })).toMatch(/invalid currency code/);
+    expect(validateExchangeRates({ CAD: 0 })).toMatch(/positive/);
+    expect(validateCurrencyOverrides(config.currencies)).toBeNull();
+    expect(validateCurrencyOverrides({ CAD: { shipping: 100 } })).toMatch(/not supported/);
+    expect(validateCurrencyOverrides({ CAD: { threshold: -1 } })).toMatch(/non-negative/);
+  });
+});
@@ -0,0 +1,45 @@
+import { createDeadline, validateDeadlineSettings } from '../lib/deadline.js';
+
+const sleep = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('Response deadline', () => {
+  test('Work that finishes in time returns its value', async () => {
+    const deadline = createDeadline(200);
+    const outcome = await deadline.race(sleep(10, ['rate']));
+    deadline.clear();
+
+    expect(outcome).toEqual({ timedOut: false, value: ['rate'] });
+  });
+
+  test('Slow work times out at the budget', async () => {
+    const deadline = createDeadline(30);
+    const startTime = Date.now();
+    const outcome = await deadline.race(sleep(500, ['late']));
+
+    expect(outcome).toEqual({ timedOut: true });
+    expect(Date.now() - startTime).toBeLessThan(400);
+  });
+
+  test('Errors from the work still reject', async () => {
+    const deadline = createDeadline(200);
+    await expect(deadline.race(Promise.reject(new Error('Batchy down')))).rejects.toThrow('Batchy down');
+    deadline.clear();
+  });
+
+  test('remaining() counts down from the budget', async () => {
+    const deadline = createDeadline(1000);
+    await sleep(20);
+    expect(deadline.remaining()).toBeLessThan(1000);
+    expect(deadline.remaining()).toBeGreaterThan(0);
+    deadline.clear();
+  });
+
+  test('Validation', () => {
+    expect(validateDeadlineSettings({ budgetMs: 4000 })).toBeNull();
+    expect(validateDeadlineSettings({ budgetMs: 0 })).toMatch(/budgetMs/);
+    expect(validateDeadlineSettings({ fallbackRates: [{ service_name: 'Standard' }] })).toMatch(/service_code/);
+    expect(validateDeadlineSettings({
+      fallbackRates: [{ service_name: 'Standard', service_code: 'STD', total_price: '5.00' }]
+    })).toMatch(/total_price/);
+  });
+});
@@ -0,0 +1,53 @@
+import { parseShipDate, addBusinessDays, formatDeliveryDate, estimateDelivery, validateDeliverySettings } from '../lib/delivery.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+describe('Delivery estimates', () => {
+  const settings = { ...defaultConfig.delivery, enabled: true, holidays: ['2026-11-26'] };
+  const wednesdayMorning = Date.parse('2026-11-25T15:00:00Z'); // 10:00 in New York
+
+  test('Business days skip weekends and holidays', () => {
+    expect(addBusinessDays('2026-11-25', 1, settings)).toBe('2026-11-27');
+    expect(addBusinessDays('2026-11-28', 0, settings)).toBe('2026-11-30');
+    expect(addBusinessDays('2026-11-27', 5, settings)).toBe('2026-12-04');
+  });
+
+  test('Ready-to-ship counts handling and transit from the order', () => {
+    expect(estimateDelivery(settings, 'rts', { now: wednesdayMorning })).toEqual({
+      ships_on: '2026-11-27', min: '2026-12-01', max: '2026-12-04'
+    });
+    // After the 14:00 cutoff the order waits for the next business day
+    expect(estimateDelivery(settings, 'rts', { now: Date.parse('2026-11-25T20:00:00Z') })).toEqual({
+      ships_on: '2026-11-30', min: '2026-12-02', max: '2026-12-07'
+    });
+  });
+
+  test('Pre-orders ship on the latest ship date in the bucket', () => {
+    expect(estimateDelivery(settings, 'po', { now: wednesdayMorning, shipDates: ['2026-12-10', '2026-12-14'] })).toEqual({
+      ships_on: '2026-12-14', min: '2026-12-16', max: '2026-12-21'
+    });
+    expect(estimateDelivery(settings, 'po', { now: wednesdayMorning, shipDates: ['2026-01-01'] }).ships_on).toBe('2026-11-25');
+    expect(estimateDelivery(settings, 'po', { now: wednesdayMorning, shipDates: ['2026-12-10', null] })).toEqual({
+      reason: 'A pre-order variant has no ship date'
+    });
+  });
+
+  test('Dates are midnight in the warehouse time zone', () => {
+    expect(formatDeliveryDate('2026-12-01', 'America/New_York')).toBe('2026-12-01 00:00:00 -0500');
+    expect(formatDeliveryDate('2026-07-01', 'America/New_York')).toBe('2026-07-01 00:00:00 -0400');
+    expect(formatDeliveryDate('2026-12-01', 'Asia/Kolkata')).toBe('2026-12-01 00:00:00 +0530');
+  });
+
+  test('Ship dates and settings are checked', () => {
+    expect(parseShipDate('2026-12-10T00:00:00Z')).toBe('2026-12-10');
+    expect(parseShipDate('2026-02-30')).toBeNull();
+    expect(parseShipDate('soon')).toBeNull();
+
+    expect(validateDeliverySettings(settings)).toBeNull();
+    expect(validateDeliverySettings({ timezone: 'Mars/Olympus' })).toMatch(/time zone/);
+    expect(validateDeliverySettings({ businessDays: [1, 7] })).toMatch(/weekdays/);
+    expect(validateDeliverySettings({ holidays: ['25/12/2026'] })).toMatch(/YYYY-MM-DD/);
+    expect(validateDeliverySettings({ cutoff: '2pm' })).toMatch(/cutoff/);
+    expect(validateDeliverySettings({ rts: { minTransitDays: 5, maxTransitDays: 2 } })).toMatch(/more than/);
+    expect(validateDeliverySettings({ po: { handlingDays: -1 } })).toMatch(/whole number/);
+  });
+});
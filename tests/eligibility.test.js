@@ -0,0 +1,57 @@
+import {
+  classifyItems, matchEligibility, eligibilityUsesTags, validateEligibility, normalizeEligibility, nothingToShipDescription,
+  NOTHING_TO_SHIP_DESCRIPTION
+} from '../lib/eligibility.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+describe('Eligibility', () => {
+  const samples = { id: 'samples', name: 'Samples', classify: true, countTowardThreshold: false, match: { tags: ['Sample'] } };
+
+  test('The default policy leaves out gift cards and items that do not ship', () => {
+    const items = [
+      { variant_id: 1, title: 'Shirt', requires_shipping: true },
+      { variant_id: 2, title: '$25 Gift Card' },
+      { variant_id: 3, title: 'Card', product_type: 'gift card' },
+      { variant_id: 4, title: 'E-book', requires_shipping: false }
+    ];
+    const results = classifyItems(defaultConfig.eligibility, items);
+
+    expect(results.map(({ classify, matchedBy }) => [classify, matchedBy])).toEqual([
+      [true, null], [false, 'title'], [false, 'product type'], [false, 'requires shipping']
+    ]);
+    expect(results[1].entry.id).toBe('gift-cards');
+    expect(eligibilityUsesTags(defaultConfig.eligibility)).toBe(false);
+    expect(nothingToShipDescription(results.slice(1, 3))).toBe('Gift cards ship free');
+    expect(nothingToShipDescription(results.slice(1))).toBe(NOTHING_TO_SHIP_DESCRIPTION);
+  });
+
+  test('The first matching entry decides and disabled entries are skipped', () => {
+    const policy = [{ ...samples, id: 'off', enabled: false, classify: false }, samples, ...defaultConfig.eligibility];
+    const [sample] = classifyItems(policy, [{ product_id: 7, title: 'Sample gift card' }], new Map([[7, ['sample']]]));
+
+    expect(sample).toMatchObject({ classify: true, countTowardThreshold: false, matchedBy: 'tag' });
+    expect(sample.entry.id).toBe('samples');
+    expect(eligibilityUsesTags(policy)).toBe(true);
+    expect(matchEligibility(samples, { title: 'Sample' }, [])).toBeNull();
+  });
+
+  test('Invalid policies are explained', () => {
+    expect(validateEligibility([samples, ...defaultConfig.eligibility])).toBeNull();
+    expect(validateEligibility({})).toMatch(/array/);
+    expect(validateEligibility([{ match: { tags: ['x'] } }])).toMatch(/id or name/);
+    expect(validateEligibility([samples, samples])).toMatch(/duplicate/);
+    expect(validateEligibility([{ ...samples, match: {} }])).toMatch(/at least one/);
+    expect(validateEligibility([{ ...samples, match: { requiresShipping: 'no' } }])).toMatch(/requiresShipping/);
+    expect(validateEligibility([{ ...samples, match: { titlePattern: 'gift (' } }])).toMatch(/regular expression/);
+    expect(validateEligibility([{ ...samples, classify: 'yes' }])).toMatch(/classify/);
+    expect(validateEligibility([{ ...samples, description: 7 }])).toMatch(/description/);
+  });
+
+  test('Fills in ids and defaults', () => {
+    const [entry, sample] = normalizeEligibility([{ name: 'Digital Goods', match: { productTypes: ['Download'] } }, samples]);
+    expect(entry).toEqual(expect.objectContaining({
+      id: 'digital-goods', description: '', enabled: true, classify: false, countTowardThreshold: false
+    }));
+    expect(sample).toEqual(expect.objectContaining({ classify: true, countTowardThreshold: false }));
+  });
+});
@@ -0,0 +1,105 @@
+import { desiredInstall, planInstall, reconcileInstall, CARRIER_SERVICE_NAME } from '../lib/install.js';
+import { WEBHOOK_TOPICS } from '../lib/webhooks.js';
+
+const APP = 'https://app.example.com';
+
+// Minimal in-memory stand-in for the carrier service and webhook REST endpoints
+function fakeShopify({ carrierServices = [], webhooks = [], failOn = null } = {}) {
+  const state = { carrierServices: [...carrierServices], webhooks: [...webhooks], calls: [] };
+  let nextId = 1000;
+
+  state.request = async (method, resource, body) => {
+    state.calls.push(`${method} ${resource}`);
+    if (failOn && `${method} ${resource}`.startsWith(failOn)) {
+      throw new Error(`${method} ${resource} failed: 422`);
+    }
+
+    const [, collection, id] = resource.match(/^(carrier_services|webhooks)(?:\/(\d+))?\.json$/);
+    const list = collection === 'webhooks' ? state.webhooks : state.carrierServices;
+    const wrapper = collection === 'webhooks' ? 'webhook' : 'carrier_service';
+
+    if (method === 'GET') return { [collection]: list };
+    if (method === 'POST') {
+      const created = { id: nextId++, ...body[wrapper] };
+      list.push(created);
+      return { [wrapper]: created };
+    }
+    const index = list.findIndex(entry => entry.id === Number(id));
+    if (method === 'PUT') {
+      Object.assign(list[index], body[wrapper]);
+      return { [wrapper]: list[index] };
+    }
+    list.splice(index, 1);
+    return {};
+  };
+
+  return state;
+}
+
+function inSyncShop(appDomain = APP) {
+  const desired = desiredInstall(appDomain);
+  return {
+    carrierServices: [{ id: 1, ...desired.carrierService }],
+    webhooks: desired.webhooks.map((webhook, index) => ({ id: 10 + index, ...webhook }))
+  };
+}
+
+describe('Install reconciliation', () => {
+  test('A fresh shop gets the carrier service and every webhook', async () => {
+    const shopify = fakeShopify();
+    const result = await reconcileInstall(shopify.request, desiredInstall(APP), { apply: true });
+
+    expect(result).toMatchObject({ applied: true, in_sync: true, was_in_sync: false });
+    expect(shopify.carrierServices).toEqual([expect.objectContaining({ name: CARRIER_SERVICE_NAME, callback_url: `${APP}/rates` })]);
+    expect(shopify.webhooks.map(webhook => webhook.topic).sort()).toEqual(Object.keys(WEBHOOK_TOPICS).sort());
+  });
+
+  test('Reinstalling an up-to-date shop changes nothing', async () => {
+    const shopify = fakeShopify(inSyncShop());
+    const result = await reconcileInstall(shopify.request, desiredInstall(APP), { apply: true });
+
+    expect(result.was_in_sync).toBe(true);
+    expect(shopify.calls).toEqual(['GET carrier_services.json', 'GET webhooks.json']);
+  });
+
+  test('A new APP_DOMAIN updates callback URLs in place', async () => {
+    const shopify = fakeShopify(inSyncShop('https://old.example.com'));
+    const status = await reconcileInstall(shopify.request, desiredInstall(APP));
+
+    expect(status.in_sync).toBe(false);
+    expect(status.applied).toBe(false);
+    expect(status.carrier_services[0]).toMatchObject({ action: 'update', drift: ['callback_url'] });
+    expect(shopify.calls).toEqual(['GET carrier_services.json', 'GET webhooks.json']);
+
+    await reconcileInstall(shopify.request, desiredInstall(APP), { apply: true });
+    expect(shopify.carrierServices).toEqual([expect.objectContaining({ id: 1, callback_url: `${APP}/rates` })]);
+    expect(shopify.webhooks.every(webhook => webhook.address.startsWith(APP))).toBe(true);
+    expect(shopify.webhooks.map(webhook => webhook.id)).toEqual([10, 11, 12, 13]);
+  });
+
+  test('Duplicates and unused topics are deleted', () => {
+    const existing = inSyncShop();
+    existing.carrierServices.push({ id: 2, name: CARRIER_SERVICE_NAME, callback_url: 'https://old.example.com/rates' });
+    existing.carrierServices.push({ id: 3, name: 'Another app', callback_url: 'https://other.example.com' });
+    existing.webhooks.unshift({ id: 20, topic: 'products/update', address: 'https://old.example.com/webhook/product-update' });
+    existing.webhooks.push({ id: 21, topic: 'orders/create', address: `${APP}/webhook/orders` });
+
+    const plan = planInstall(existing, desiredInstall(APP));
+    const changes = [...plan.carrier_services, ...plan.webhooks].filter(entry => entry.action !== 'ok');
+
+    expect(changes).toEqual([
+      expect.objectContaining({ action: 'delete', id: 2, reason: 'duplicate' }),
+      expect.objectContaining({ action: 'delete', id: 20, reason: 'duplicate' }),
+      expect.objectContaining({ action: 'delete', id: 21, reason: 'unused topic' })
+    ]);
+  });
+
+  test('A failed change is reported and the rest still run', async () => {
+    const shopify = fakeShopify({ failOn: 'POST carrier_services' });
+    const result = await reconcileInstall(shopify.request, desiredInstall(APP), { apply: true });
+
+    expect(result.in_sync).toBe(false);
+    expect(result.carrier_services[0]).toMatchObject({ action: 'create', applied: false, error: expect.stringContaining('422') });
+    expect(shopify.webhooks).toHaveLength(Object.keys(WEBHOOK_TOPICS).length);
+  });
+});
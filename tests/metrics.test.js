@@ -0,0 +1,56 @@
+import { createLatencyTracker } from '../lib/metrics.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+
+describe('Latency tracker', () => {
+  test('Summarizes samples per operation', () => {
+    const tracker = createLatencyTracker();
+    for (const ms of [10, 20, 30, 40, 100]) {
+      tracker.record('batchy', ms);
+    }
+
+    expect(tracker.summary().batchy).toEqual({
+      count: 5,
+      avg_ms: 40,
+      p50_ms: 30,
+      p95_ms: 100,
+      max_ms: 100
+    });
+  });
+
+  test('Keeps only the most recent samples but counts all of them', () => {
+    const tracker = createLatencyTracker({ sampleSize: 2 });
+    tracker.record('rates', 1000);
+    tracker.record('rates', 10);
+    tracker.record('rates', 20);
+
+    expect(tracker.summary().rates).toMatchObject({ count: 3, max_ms: 20 });
+  });
+
+  test('time() records even when the call throws', async () => {
+    const tracker = createLatencyTracker();
+    await expect(tracker.time('shopify', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(tracker.summary().shopify.count).toBe(1);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('Never exceeds the limit and keeps input order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency([50, 10, 30, 20, 40, 5], 2, async (ms) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return ms * 2;
+    });
+
+    expect(maxInFlight).toBe(2);
+    expect(results).toEqual([100, 20, 60, 40, 80, 10]);
+  });
+
+  test('Empty input resolves immediately', async () => {
+    expect(await mapWithConcurrency([], 5, async () => 1)).toEqual([]);
+  });
+});
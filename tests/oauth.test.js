@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { createMemoryCache } from '../lib/cache.js';
+import {
+  OAuthError,
+  parseScopes,
+  buildAuthorizeUrl,
+  issueState,
+  oauthMessage,
+  verifyOAuthHmac,
+  verifyCallback
+} from '../lib/oauth.js';
+
+const SECRET = 'test-api-secret';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function sign(params, secret = SECRET) {
+  const hmac = crypto.createHmac('sha256', secret).update(oauthMessage(params)).digest('hex');
+  return { ...params, hmac };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(OAuthError);
+    return { status: error.status, message: error.message };
+  }
+  throw new Error('Expected the callback to be rejected');
+}
+
+describe('OAuth install flow', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = createMemoryCache();
+  });
+
+  afterEach(() => cache.close());
+
+  async function callbackQuery(overrides = {}) {
+    const state = await issueState(cache, 'one.myshopify.com');
+    return sign({ code: 'auth-code', shop: 'one.myshopify.com', state, timestamp: '1700000000', ...overrides });
+  }
+
+  test('Accepts a signed callback once', async () => {
+    const query = await callbackQuery();
+
+    expect(await verifyCallback(query, { secret: SECRET, cache })).toEqual({ shop: 'one.myshopify.com', code: 'auth-code' });
+    expect(await rejection(verifyCallback(query, { secret: SECRET, cache }))).toEqual({ status: 403, message: 'Unknown or expired state' });
+  });
+
+  test('Rejects missing parameters and non-Shopify domains', async () => {
+    const query = await callbackQuery();
+    const { code, ...withoutCode } = query;
+    const evil = await callbackQuery({ shop: 'evil.example.com' });
+
+    expect(await rejection(verifyCallback(withoutCode, { secret: SECRET, cache }))).toEqual({ status: 400, message: 'Missing required parameters' });
+    expect(await rejection(verifyCallback(evil, { secret: SECRET, cache }))).toEqual({ status: 400, message: 'Invalid shop domain' });
+  });
+
+  test('Rejects a bad HMAC without using up the state', async () => {
+    const query = await callbackQuery();
+    const tampered = { ...query, code: 'other-code' };
+    const wrongSecret = sign({ ...query, hmac: undefined }, 'other-secret');
+
+    expect(await rejection(verifyCallback(tampered, { secret: SECRET, cache }))).toEqual({ status: 401, message: 'Invalid HMAC' });
+    expect(await rejection(verifyCallback(wrongSecret, { secret: SECRET, cache }))).toEqual({ status: 401, message: 'Invalid HMAC' });
+    expect(await rejection(verifyCallback({ ...query, hmac: 'short' }, { secret: SECRET, cache }))).toEqual({ status: 401, message: 'Invalid HMAC' });
+
+    expect(await verifyCallback(query, { secret: SECRET, cache })).toMatchObject({ shop: 'one.myshopify.com' });
+  });
+
+  test('Rejects unknown, expired and other-shop states', async () => {
+    const unknown = sign({ code: 'auth-code', shop: 'one.myshopify.com', state: 'made-up' });
+    expect(await rejection(verifyCallback(unknown, { secret: SECRET, cache }))).toEqual({ status: 403, message: 'Unknown or expired state' });
+
+    const otherShopState = await issueState(cache, 'two.myshopify.com');
+    const otherShop = sign({ code: 'auth-code', shop: 'one.myshopify.com', state: otherShopState });
+    expect(await rejection(verifyCallback(otherShop, { secret: SECRET, cache }))).toEqual({ status: 403, message: 'State was issued for a different shop' });
+
+    const expiringState = await issueState(cache, 'one.myshopify.com', { ttlSeconds: 1 });
+    const expired = sign({ code: 'auth-code', shop: 'one.myshopify.com', state: expiringState });
+    await sleep(1100);
+    expect(await rejection(verifyCallback(expired, { secret: SECRET, cache }))).toEqual({ status: 403, message: 'Unknown or expired state' });
+  });
+
+  test('Fails closed without an API secret', async () => {
+    const query = await callbackQuery();
+    expect(await rejection(verifyCallback(query, { secret: undefined, cache }))).toMatchObject({ status: 500 });
+  });
+
+  test('Signs URL-encoded parameters sorted by key', () => {
+    const query = { shop: 'one.myshopify.com', host: 'YWRtaW4=&x', code: 'a b', ids: ['2', '1'], hmac: 'ignored' };
+
+    expect(oauthMessage(query)).toBe('code=a+b&host=YWRtaW4%3D%26x&ids=%5B%222%22%2C+%221%22%5D&shop=one.myshopify.com');
+    expect(verifyOAuthHmac(sign(query), SECRET)).toBe(true);
+    expect(verifyOAuthHmac({ ...sign(query), host: 'YWRtaW4=' }, SECRET)).toBe(false);
+    expect(verifyOAuthHmac({ shop: 'one.myshopify.com' }, SECRET)).toBe(false);
+  });
+
+  test('Builds an encoded authorize URL with configured scopes', () => {
+    const url = new URL(buildAuthorizeUrl({
+      shop: 'one.myshopify.com',
+      apiKey: 'key',
+      scopes: parseScopes(' read_products, write_shipping ,read_products'),
+      redirectUri: 'https://app.example.com/auth/callback',
+      state: 'nonce'
+    }));
+
+    expect(url.origin).toBe('https://one.myshopify.com');
+    expect(url.searchParams.get('scope')).toBe('read_products,write_shipping');
+    expect(url.searchParams.get('redirect_uri')).toBe('https://app.example.com/auth/callback');
+    expect(parseScopes(undefined)).toBe('read_products,write_shipping,write_products');
+  });
+});
@@ -0,0 +1,37 @@
+import { validatePreviewCart, cartToRate } from '../lib/preview.js';
+
+describe('Rate preview carts', () => {
+  const cart = {
+    destination: { province: 'CA', zip: '90210' },
+    items: [
+      { variant_id: 111, product_id: 11, price: 2500, quantity: 2, grams: 300, name: 'Shirt' },
+      { variant_id: '222', price: 1000 }
+    ]
+  };
+
+  test('Valid carts pass', () => {
+    expect(validatePreviewCart(cart)).toBeNull();
+    expect(validatePreviewCart({ ...cart, currency: 'CAD' })).toBeNull();
+  });
+
+  test('Invalid carts are explained', () => {
+    expect(validatePreviewCart(null)).toMatch(/object/);
+    expect(validatePreviewCart({ items: [] })).toMatch(/non-empty/);
+    expect(validatePreviewCart({ items: [{ price: 100 }] })).toMatch(/variant_id/);
+    expect(validatePreviewCart({ items: [{ variant_id: 1, price: 9.99 }] })).toMatch(/cents/);
+    expect(validatePreviewCart({ items: [{ variant_id: 1, price: 100, quantity: 0 }] })).toMatch(/quantity/);
+    expect(validatePreviewCart({ items: [{ variant_id: 1, price: 100, grams: -1 }] })).toMatch(/grams/);
+    expect(validatePreviewCart({ items: [{ variant_id: 1, price: 100, requires_shipping: 'no' }] })).toMatch(/requires_shipping/);
+    expect(validatePreviewCart({ ...cart, currency: 'usd' })).toMatch(/currency/);
+  });
+
+  test('Carts become the payload Shopify posts to /rates', () => {
+    const rate = cartToRate(cart, 'USD');
+
+    expect(rate.currency).toBe('USD');
+    expect(rate.destination).toEqual({ country: 'US', province: 'CA', zip: '90210', postal_code: '90210' });
+    expect(rate.items[0]).toMatchObject({ variant_id: 111, product_id: 11, quantity: 2, grams: 300, price: 2500, name: 'Shirt', title: 'Shirt' });
+    expect(rate.items[1]).toMatchObject({ variant_id: '222', product_id: null, quantity: 1, grams: 0, name: 'Variant 222', requires_shipping: true });
+    expect(cartToRate({ items: [{ variant_id: 1, price: 0, requires_shipping: false }] }, 'USD').items[0].requires_shipping).toBe(false);
+  });
+});
@@ -0,0 +1,212 @@
+import { calculateRates, priceBucket, bucketTrace } from '../lib/pricing.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+const SILENT = { log() {}, warn() {} };
+
+function lookups(preOrderVariants = [], products = {}) {
+  return {
+    productData: async (productId) => products[productId] || null,
+    variantStatuses: async (variantIds) => new Map(variantIds.map(id => [id, { isPreOrder: preOrderVariants.includes(id), source: 'test' }])),
+    productTags: async (productIds) => new Map(productIds.map(id => [id, (products[id]?.tags || '').split(',').filter(Boolean)]))
+  };
+}
+
+function rate(items, destination = { country: 'US', province: 'CA', postal_code: '90210' }) {
+  return {
+    destination,
+    currency: 'USD',
+    items: items.map(([variantId, price, quantity = 1]) => ({
+      name: `Item ${variantId}`, title: `Item ${variantId}`, variant_id: variantId, product_id: variantId * 10, price, quantity, grams: 100
+    }))
+  };
+}
+
+describe('Pricing', () => {
+  test('Splits ready-to-ship and pre-order items into separate rates', async () => {
+    const trace = { steps: [] };
+    const rates = await calculateRates(defaultConfig, rate([[1, 6000], [2, 1000]]), { lookups: lookups(['2']), trace, log: SILENT });
+
+    expect(rates.map(r => [r.service_code, r.total_price])).toEqual([['RTS_STD', '0'], ['PO_STD', '500']]);
+    expect(trace.outcome).toBe('split');
+    expect(trace.buckets.rts.decision).toBe('free-over-threshold');
+    expect(trace.buckets.po.decision).toBe('under-threshold');
+    expect(trace.steps.find(step => step.step === 'cross-location').result).toMatch(/Skipped/);
+  });
+
+  test('Pools delivery groups when poolDeliveryGroups is given', async () => {
+    const trace = {};
+    const pooled = {
+      ...lookups(),
+      poolDeliveryGroups: async (totals) => ({
+        combined: { rts: { subtotal: totals.rts.subtotal + 3000, grams: totals.rts.grams }, po: totals.po },
+        trace: { groups: [{}, {}], expected: 2, resolved_by: 'expected', waited_ms: 0 }
+      })
+    };
+    const rates = await calculateRates(defaultConfig, rate([[1, 2500]]), { lookups: pooled, trace, log: SILENT });
+
+    expect(rates[0].total_price).toBe('0');
+    expect(trace.crossLocation.groups).toHaveLength(2);
+  });
+
+  test('Gift cards and items that do not ship are left out of the split', async () => {
+    const checked = [];
+    const watching = {
+      ...lookups(),
+      variantStatuses: async (variantIds) => {
+        checked.push(...variantIds);
+        return lookups().variantStatuses(variantIds);
+      }
+    };
+    const cart = rate([[1, 3000], [2, 2500], [3, 2500]]);
+    cart.items[1].product_type = 'Gift Card';
+    cart.items[2].requires_shipping = false;
+    const trace = {};
+    const rates = await calculateRates(defaultConfig, cart, { lookups: watching, trace, log: SILENT });
+
+    expect(rates.map(r => [r.service_code, r.total_price])).toEqual([['RTS_STD', '500']]);
+    expect(trace.buckets.rts.subtotal).toBe(3000);
+    expect(checked).toEqual(['1']);
+
+    const nothingToShip = await calculateRates(defaultConfig, { ...cart, items: cart.items.slice(1) }, { lookups: watching, trace, log: SILENT });
+    expect(nothingToShip).toEqual([expect.objectContaining({
+      service_code: 'GIFT_CARD_FREE', total_price: '0', description: 'Nothing in this order needs shipping'
+    })]);
+    expect(trace.outcome).toBe('nothing-to-ship');
+
+    const giftCards = await calculateRates(defaultConfig, { ...cart, items: [cart.items[1]] }, { lookups: watching, log: SILENT });
+    expect(giftCards[0]).toMatchObject({ service_code: 'GIFT_CARD_FREE', description: 'Gift cards ship free' });
+  });
+
+  test('Items that do not count toward the threshold still ship in their bucket', async () => {
+    const config = {
+      ...defaultConfig,
+      eligibility: [{ id: 'samples', classify: true, countTowardThreshold: false, match: { tags: ['sample'] } }]
+    };
+    const products = { 20: { title: 'Sample', tags: 'sample' } };
+    const trace = {};
+    const rates = await calculateRates(config, rate([[1, 3000], [2, 2500]]), { lookups: lookups([], products), trace, log: SILENT });
+    expect(rates.map(r => [r.service_code, r.total_price])).toEqual([['RTS_STD', '500']]);
+    expect(trace.buckets.rts).toMatchObject({ subtotal: 3000, grams: 200 });
+
+    const samplesOnly = await calculateRates(config, rate([[2, 2500]]), { lookups: lookups(['2'], products), log: SILENT });
+    expect(samplesOnly.map(r => [r.service_code, r.total_price])).toEqual([['PO_STD', '500']]);
+  });
+
+  test('Mystery boxes get the promotion flat rate only', async () => {
+    const config = { ...defaultConfig, promotion: { ...defaultConfig.promotion, enabled: true } };
+    const products = { 10: { title: 'Mystery Box', tags: '' } };
+    const rates = await calculateRates(config, rate([[1, 2500], [2, 2500]]), { lookups: lookups([], products), log: SILENT });
+
+    expect(rates).toEqual([expect.objectContaining({ service_code: 'MYSTERY_BOX_FLAT', total_price: '695' })]);
+  });
+
+  test('The highest-priority promotion in the cart wins', async () => {
+    const config = {
+      ...defaultConfig,
+      promotion: { ...defaultConfig.promotion, enabled: true },
+      promotions: [
+        { id: 'stickers', name: 'Stickers', priority: 1, match: { productTypes: ['Stickers'] }, flatRate: 395, serviceCode: 'PROMO_STICKERS' },
+        { id: 'crates', name: 'Crates', priority: 5, match: { vendors: ['Crate Co'] }, flatRate: 995, serviceCode: 'PROMO_CRATES' }
+      ]
+    };
+    const products = { 10: { title: 'Cats', tags: '', product_type: 'Stickers' }, 20: { title: 'Crate', tags: '', vendor: 'Crate Co' } };
+    const trace = { steps: [] };
+    const rates = await calculateRates(config, rate([[1, 500], [2, 2500], [3, 1000]]), { lookups: lookups([], products), trace, log: SILENT });
+
+    expect(rates).toEqual([expect.objectContaining({ service_code: 'PROMO_CRATES', total_price: '995' })]);
+    expect(trace.outcome).toBe('promotion');
+    expect(trace.promotions).toEqual(['crates']);
+    expect(trace.steps.find(step => step.step === 'promotions').items.map(item => item.matched_by)).toEqual(['product type', 'vendor', null]);
+  });
+
+  test('Alongside promotions add their rate and fold promotions ship free with RTS', async () => {
+    const promotion = { id: 'stickers', name: 'Stickers', match: { productTypes: ['Stickers'] }, flatRate: 395, serviceCode: 'PROMO_STICKERS' };
+    const products = { 10: { title: 'Cats', tags: '', product_type: 'Stickers' } };
+    const cart = rate([[1, 500], [2, 1000], [3, 2000]]);
+    const priced = (mode, preOrder) => calculateRates(
+      { ...defaultConfig, promotion: { ...defaultConfig.promotion, enabled: true }, promotions: [{ ...promotion, mode }] },
+      cart,
+      { lookups: lookups(preOrder, products), trace: {}, log: SILENT }
+    );
+
+    const alongside = await priced('alongside', ['3']);
+    expect(alongside.map(r => [r.service_code, r.total_price])).toEqual([['RTS_STD', '500'], ['PO_STD', '500'], ['PROMO_STICKERS', '395']]);
+
+    const trace = {};
+    const fold = await calculateRates(
+      { ...defaultConfig, promotion: { ...defaultConfig.promotion, enabled: true }, promotions: [{ ...promotion, mode: 'fold' }] },
+      cart,
+      { lookups: lookups(['1', '3'], products), trace, log: SILENT }
+    );
+    expect(fold.map(r => [r.service_code, r.total_price])).toEqual([['RTS_STD', '0'], ['PO_STD', '500']]);
+    expect(trace.buckets.rts).toEqual(expect.objectContaining({ decision: 'promotion-waived', subtotal: 1500 }));
+    expect(trace.promotions).toEqual(['stickers']);
+
+    const only = await calculateRates(
+      { ...defaultConfig, promotion: { ...defaultConfig.promotion, enabled: true }, promotions: [{ ...promotion, mode: 'alongside' }] },
+      rate([[1, 500]]),
+      { lookups: lookups([], products), log: SILENT }
+    );
+    expect(only.map(r => r.service_code)).toEqual(['PROMO_STICKERS']);
+  });
+
+  test('Rates carry delivery dates when estimates are on', async () => {
+    const config = { ...defaultConfig, delivery: { ...defaultConfig.delivery, enabled: true } };
+    const dated = {
+      ...lookups(),
+      variantStatuses: async (variantIds) => new Map(variantIds.map(id => [id, id === '1'
+        ? { isPreOrder: false, source: 'test' }
+        : { isPreOrder: true, source: 'test', shipDate: id === '2' ? '2026-12-14' : '2026-12-18' }]))
+    };
+    const trace = {};
+    const rates = await calculateRates(config, rate([[1, 1000], [2, 1000], [3, 1000]]), {
+      lookups: dated, trace, now: Date.parse('2026-12-02T15:00:00Z'), log: SILENT
+    });
+
+    expect(rates[0]).toEqual(expect.objectContaining({ min_delivery_date: '2026-12-07 00:00:00 -0500', max_delivery_date: '2026-12-10 00:00:00 -0500' }));
+    expect(rates[1]).toEqual(expect.objectContaining({ min_delivery_date: '2026-12-22 00:00:00 -0500', max_delivery_date: '2026-12-25 00:00:00 -0500' }));
+    expect(trace.variants.find(variant => variant.variant_id === '3').ship_date).toBe('2026-12-18');
+
+    const unknown = await calculateRates(config, rate([[2, 1000]]), { lookups: lookups(['2']), trace: {}, log: SILENT });
+    expect(unknown[0].min_delivery_date).toBeUndefined();
+  });
+
+  test('Service levels follow the standard rate of their bucket', async () => {
+    const config = {
+      ...defaultConfig,
+      delivery: { ...defaultConfig.delivery, enabled: true },
+      serviceLevels: {
+        rts: [{ id: 'overnight', name: 'Overnight', serviceCode: 'RTS_OVERNIGHT', price: { base: 2500 }, delivery: { handlingDays: 0, minTransitDays: 1, maxTransitDays: 1 } }],
+        po: [{ id: 'expedited', name: 'Expedited', serviceCode: 'PO_EXPEDITED', price: { base: 1000 }, threshold: 'standard', enabled: false }]
+      }
+    };
+    const trace = {};
+    const rates = await calculateRates(config, rate([[1, 1000], [2, 1000]]), {
+      lookups: lookups(['2']), trace, now: Date.parse('2026-12-02T15:00:00Z'), log: SILENT
+    });
+
+    expect(rates.map(r => r.service_code)).toEqual(['RTS_STD', 'RTS_OVERNIGHT', 'PO_STD']);
+    expect(rates[1]).toEqual(expect.objectContaining({ total_price: '2500', min_delivery_date: '2026-12-03 00:00:00 -0500', max_delivery_date: '2026-12-03 00:00:00 -0500' }));
+    expect(trace.serviceLevels).toEqual([{ bucket: 'rts', level: 'overnight', price: 2500, free: false }]);
+
+    const hidden = { ...config, rules: [{ id: 'no-rts', conditions: { buckets: ['rts'] }, action: { type: 'hide' } }] };
+    const withoutRts = await calculateRates(hidden, rate([[1, 1000]]), { lookups: lookups(), log: SILENT });
+    expect(withoutRts).toEqual([]);
+  });
+
+  test('Unsplit zones and unknown countries defer to Shopify', async () => {
+    const trace = {};
+    const rates = await calculateRates(defaultConfig, rate([[1, 2500]], { country: 'FR' }), { lookups: lookups(), trace, log: SILENT });
+    expect(rates).toEqual([]);
+    expect(trace.outcome).toBe('international-native');
+  });
+
+  test('Bucket helpers explain the price', () => {
+    const money = { toBase: amount => amount, convert: amount => amount };
+    const profile = { threshold: 5000, feeUnderThreshold: 500 };
+    const priced = priceBucket(defaultConfig, 'rts', { groupSubtotal: 1000, combinedSubtotal: 1000, combinedGrams: 0, itemCount: 1, tags: new Set() }, {}, profile, money);
+
+    expect(priced).toEqual({ price: 500, rule: null, tier: null });
+    expect(bucketTrace(1000, 1000, 0, 0, profile, priced).decision).toBe('under-threshold');
+  });
+});
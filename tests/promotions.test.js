@@ -0,0 +1,93 @@
+import {
+  resolvePromotions, matchPromotion, detectPromotion, promotionRate, validatePromotions, validatePromotionSettings, normalizePromotions
+} from '../lib/promotions.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+describe('Promotions', () => {
+  const stickers = {
+    id: 'stickers',
+    name: 'Sticker Pack',
+    priority: 5,
+    match: { productTypes: ['Stickers'], skuPrefixes: ['STK-'] },
+    flatRate: 395,
+    serviceCode: 'PROMO_STICKERS',
+    label: 'Sticker Shipping'
+  };
+  const mysteryBox = {
+    id: 'mystery-box',
+    name: 'Mystery Box',
+    priority: 10,
+    match: { tags: ['MysteryBox'], vendors: ['Surprise Co'], titlePattern: 'mystery ?box' },
+    flatRate: 695,
+    serviceCode: 'MYSTERY_BOX_FLAT'
+  };
+
+  test('Falls back to the built-in Mystery Box promotion', () => {
+    const [builtIn] = resolvePromotions({ ...defaultConfig, promotion: { ...defaultConfig.promotion, tag: 'Blind-Bag' } });
+
+    expect(builtIn.builtIn).toBe(true);
+    expect(builtIn.match.tags).toContain('blind-bag');
+    expect(matchPromotion(builtIn, {}, { title: 'Plush', tags: 'new, blind-bag' })).toBe('tag');
+    expect(matchPromotion(builtIn, {}, { title: 'Spring Mystery Box', tags: '' })).toBe('title');
+    expect(matchPromotion(builtIn, { title: 'mysterybox' }, null)).toBe('title');
+    expect(matchPromotion(builtIn, {}, { title: 'Plush', tags: 'mysterybox-2024' })).toBe('tag');
+    expect(matchPromotion(builtIn, {}, { title: 'Plush', tags: 'summer mystery box' })).toBe('tag');
+    expect(matchPromotion(builtIn, {}, { title: 'Plush', tags: 'new, boxed' })).toBeNull();
+  });
+
+  test('Tags match by substring unless a promotion asks for exact tags', () => {
+    const exact = { ...mysteryBox, match: { tags: ['mysterybox'], tagMatch: 'exact' } };
+    expect(matchPromotion(mysteryBox, {}, { title: 'Plush', tags: 'mysterybox-2024' })).toBe('tag');
+    expect(matchPromotion(exact, {}, { title: 'Plush', tags: 'mysterybox-2024' })).toBeNull();
+    expect(matchPromotion(exact, {}, { title: 'Plush', tags: 'new, MysteryBox' })).toBe('tag');
+    expect(validatePromotions([exact])).toBeNull();
+    expect(validatePromotions([{ ...exact, match: { tags: ['x'], tagMatch: 'whole' } }])).toMatch(/tagMatch/);
+  });
+
+  test('Configured promotions are ordered by priority and skip disabled ones', () => {
+    const config = { promotions: [stickers, mysteryBox, { ...mysteryBox, id: 'off', enabled: false }] };
+    expect(resolvePromotions(config).map(promotion => [promotion.id, promotion.mode])).toEqual([['mystery-box', 'override'], ['stickers', 'override']]);
+    expect(resolvePromotions({ ...defaultConfig, promotion: { ...defaultConfig.promotion, mode: 'fold' } })[0].mode).toBe('fold');
+  });
+
+  test('Matches on product type, vendor and SKU prefix', () => {
+    expect(matchPromotion(stickers, { sku: 'stk-001' }, null)).toBe('sku prefix');
+    expect(matchPromotion(stickers, {}, { title: 'Cats', product_type: 'stickers' })).toBe('product type');
+    expect(matchPromotion(mysteryBox, {}, { title: 'Crate', vendor: 'Surprise Co' })).toBe('vendor');
+    expect(matchPromotion(stickers, { sku: '' }, { title: 'Cats', product_type: 'Prints' })).toBeNull();
+
+    const detected = detectPromotion(resolvePromotions({ promotions: [stickers, mysteryBox] }), { sku: 'STK-1' }, { title: 'Mystery Box of Stickers' });
+    expect(detected).toEqual({ promotion: { ...mysteryBox, mode: 'override' }, matchedBy: 'title' });
+  });
+
+  test('Prices the flat rate in the request currency', () => {
+    const money = { currency: 'CAD', convert: cents => cents * 2, amount: () => 995 };
+
+    expect(promotionRate(stickers, money)).toEqual({
+      service_name: 'Sticker Shipping', service_code: 'PROMO_STICKERS', total_price: '790', currency: 'CAD', description: ''
+    });
+    expect(promotionRate(resolvePromotions(defaultConfig)[0], money).total_price).toBe('995');
+  });
+
+  test('Invalid promotions are explained', () => {
+    expect(validatePromotions([stickers, mysteryBox])).toBeNull();
+    expect(validatePromotions({})).toMatch(/array/);
+    expect(validatePromotions([{ ...stickers, id: undefined, name: undefined }])).toMatch(/id or name/);
+    expect(validatePromotions([stickers, stickers])).toMatch(/duplicate/);
+    expect(validatePromotions([{ ...stickers, match: {} }])).toMatch(/at least one/);
+    expect(validatePromotions([{ ...stickers, match: { tags: 'stickers' } }])).toMatch(/list of strings/);
+    expect(validatePromotions([{ ...stickers, match: { titlePattern: 'sticker (' } }])).toMatch(/regular expression/);
+    expect(validatePromotions([{ ...stickers, flatRate: 3.95 }])).toMatch(/cents/);
+    expect(validatePromotions([{ ...stickers, serviceCode: 'promo stickers' }])).toMatch(/serviceCode/);
+    expect(validatePromotions([{ ...stickers, mode: 'replace' }])).toMatch(/mode/);
+    expect(validatePromotionSettings({ enabled: true, mode: 'fold' })).toBeNull();
+    expect(validatePromotionSettings({ mode: 'replace' })).toMatch(/override, alongside, fold/);
+  });
+
+  test('Fills in ids, service codes and labels', () => {
+    const [promotion] = normalizePromotions([{ name: 'Blind Bags!', match: { tags: ['blind-bag'] }, flatRate: 500 }]);
+    expect(promotion).toEqual(expect.objectContaining({
+      id: 'blind-bags', enabled: true, priority: 0, mode: 'override', serviceCode: 'PROMO_BLIND_BAGS', label: 'Blind Bags!', description: ''
+    }));
+  });
+});
@@ -0,0 +1,95 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createQuoteLog, validateQuoteLogSettings } from '../lib/quote-log.js';
+
+const DAY = 24 * 3600 * 1000;
+
+function quote(postalCode, variantIds) {
+  return {
+    result: 'split',
+    destination: { country: 'US', postal_code: postalCode },
+    items: variantIds.map(id => ({ variant_id: id, quantity: 1, price: 2500 })),
+    rates: [{ service_code: 'RTS_STD', total_price: '500' }]
+  };
+}
+
+describe('Quote log', () => {
+  let dir;
+  let clock;
+  let settings;
+  let log;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ship-quotes-'));
+    clock = Date.parse('2026-03-01T12:00:00Z');
+    settings = { enabled: true, retentionDays: 7, maxEntries: 100 };
+    log = createQuoteLog({ dir, settings: () => settings, now: () => clock });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('Records quotes and returns them newest first', async () => {
+    const first = await log.record(quote('10002', ['111']));
+    clock += 1000;
+    const second = await log.record(quote('99501', ['222']));
+
+    expect(first.id).not.toBe(second.id);
+    const { total, quotes } = await log.query();
+    expect(total).toBe(2);
+    expect(quotes.map(entry => entry.id)).toEqual([second.id, first.id]);
+    expect(await log.get(first.id)).toMatchObject({ destination: { postal_code: '10002' } });
+  });
+
+  test('Filters by time, ZIP prefix and variant', async () => {
+    await log.record(quote('10002', ['111']));
+    clock += DAY;
+    await log.record(quote('99501', ['111', '222']));
+    clock += DAY;
+    await log.record(quote('K1A 0B1', ['333']));
+
+    expect((await log.query({ zip: '995' })).total).toBe(1);
+    expect((await log.query({ zip: 'k1a0b' })).total).toBe(1);
+    expect((await log.query({ variant: '111' })).total).toBe(2);
+    expect((await log.query({ variant: 222 })).total).toBe(1);
+    expect((await log.query({ from: clock - DAY, to: clock - 1 })).quotes.map(entry => entry.destination.postal_code)).toEqual(['99501']);
+    expect((await log.query({ limit: 1 })).quotes).toHaveLength(1);
+  });
+
+  test('Drops quotes past the retention window or entry limit', async () => {
+    await log.record(quote('10001', ['1']));
+    clock += 8 * DAY;
+    await log.record(quote('10002', ['2']));
+    await log.record(quote('10003', ['3']));
+
+    // Appending after the compaction interval already dropped the old quote
+    expect((await log.query()).total).toBe(2);
+    expect((await fs.readFile(log.filePath, 'utf8')).trim().split('\n')).toHaveLength(2);
+
+    settings.maxEntries = 1;
+    expect(await log.compact()).toBe(1);
+    const raw = await fs.readFile(log.filePath, 'utf8');
+    expect(raw.trim().split('\n')).toHaveLength(1);
+    expect((await log.query()).quotes[0].destination.postal_code).toBe('10003');
+  });
+
+  test('Records nothing while disabled and skips unreadable lines', async () => {
+    settings.enabled = false;
+    expect(await log.record(quote('10002', ['1']))).toBeNull();
+
+    settings.enabled = true;
+    await log.record(quote('10002', ['1']));
+    await fs.appendFile(log.filePath, '{"id":"half-writ');
+    expect((await log.query()).total).toBe(1);
+  });
+
+  test('Validates settings', () => {
+    expect(validateQuoteLogSettings({ enabled: true, retentionDays: 30, maxEntries: 10000 })).toBeNull();
+    expect(validateQuoteLogSettings({ retentionDays: 0 })).toMatch(/retentionDays/);
+    expect(validateQuoteLogSettings({ maxEntries: 1.5 })).toMatch(/maxEntries/);
+    expect(validateQuoteLogSettings({ enabled: 'yes' })).toMatch(/enabled/);
+    expect(validateQuoteLogSettings([])).toMatch(/object/);
+  });
+});
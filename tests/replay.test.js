@@ -0,0 +1,94 @@
+import { parseReplayInput, replayQuotes, diffRates, validateStatusStubs, validateProductStubs } from '../lib/replay.js';
+import { defaultConfig } from '../lib/default-config.js';
+
+const payload = (variantId, price) => JSON.stringify({
+  rate: {
+    destination: { country: 'US', province: 'CA', postal_code: '90210' },
+    currency: 'USD',
+    items: [{ name: 'Shirt', variant_id: variantId, product_id: 1, quantity: 1, price, grams: 200 }]
+  }
+});
+
+describe('Replay', () => {
+  test('Parses payloads and quote log entries, skipping everything else', () => {
+    const quote = {
+      id: 'q1',
+      result: 'split',
+      destination: { country: 'US', postal_code: '10001' },
+      currency: 'USD',
+      items: [{ variant_id: '7', product_id: '1', name: 'Vinyl', quantity: 2, price: 1500, grams: 300 }],
+      variants: [{ variant_id: '7', bucket: 'po', source: 'cache' }]
+    };
+    const input = [
+      payload(5, 2500),
+      '',
+      'not json',
+      JSON.stringify({ request_id: 'x', title: 'Not a rate' }),
+      JSON.stringify(quote)
+    ].join('\n');
+
+    const { entries, skipped } = parseReplayInput(input);
+
+    expect(entries.map(entry => [entry.line, entry.source])).toEqual([[1, 'payload'], [5, 'quote-log']]);
+    expect(entries[0].rate.items[0].title).toBe('Shirt');
+    expect(entries[1]).toMatchObject({ id: 'q1', statuses: { 7: true } });
+    expect(skipped.map(entry => entry.line)).toEqual([3, 4]);
+  });
+
+  test('Reports quotes that change with the candidate config', async () => {
+    const { entries } = parseReplayInput([payload(5, 2500), payload(6, 8000), payload(8, 2500)].join('\n'));
+    const candidate = { ...structuredClone(defaultConfig), feeUnderThreshold: 700, labels: { ...defaultConfig.labels, po: 'Coming Soon' } };
+
+    const report = await replayQuotes(entries, {
+      current: defaultConfig,
+      candidate,
+      statuses: { 8: 'po' }
+    });
+
+    expect(report).toMatchObject({ replayed: 3, changed: 2, unchanged: 1, total_delta: { USD: 400 } });
+    expect(report.quotes[0].changes).toEqual([
+      expect.objectContaining({ service_code: 'RTS_STD', change: 'changed', fields: ['total_price'], delta: 200 })
+    ]);
+    expect(report.quotes[1].changes[0]).toMatchObject({ service_code: 'PO_STD', fields: ['total_price', 'service_name'], delta: 200 });
+  });
+
+  test('Kill switch and recorded statuses are honoured', async () => {
+    const { entries } = parseReplayInput([payload(5, 2500)]);
+    const report = await replayQuotes(entries, { current: defaultConfig, candidate: { ...defaultConfig, killSwitch: true } });
+
+    expect(report.quotes[0].after).toEqual({ outcome: 'kill-switch', rates: [] });
+    expect(report.quotes[0].changes).toEqual([expect.objectContaining({ service_code: 'RTS_STD', change: 'removed' })]);
+  });
+
+  test('Scheduled windows apply as of the recorded quote time', async () => {
+    const quote = {
+      id: 'q2',
+      at: '2026-11-27T12:00:00.000Z',
+      result: 'split',
+      destination: { country: 'US', postal_code: '10001' },
+      currency: 'USD',
+      items: [{ variant_id: '7', product_id: '1', name: 'Vinyl', quantity: 1, price: 3000, grams: 300 }],
+      variants: [{ variant_id: '7', bucket: 'rts', source: 'cache' }]
+    };
+    const candidate = {
+      ...defaultConfig,
+      schedule: [{ id: 'bf', type: 'threshold', start: '2026-11-27T00:00', end: '2026-11-28T00:00', timezone: 'UTC', threshold: 2500 }]
+    };
+
+    const report = await replayQuotes(parseReplayInput([quote]).entries, { current: defaultConfig, candidate, now: Date.parse('2026-01-01') });
+    expect(report.quotes[0]).toMatchObject({ id: 'q2', delta: -500 });
+  });
+
+  test('Rate diffs and status stubs', () => {
+    const rts = { service_code: 'RTS_STD', service_name: 'Now', total_price: '500', currency: 'USD', description: '' };
+    expect(diffRates([rts], [rts])).toEqual([]);
+    expect(diffRates([], [rts])).toEqual([expect.objectContaining({ change: 'added' })]);
+
+    expect(validateStatusStubs({ 1: 'po', 2: 'rts', 3: true })).toBeNull();
+    expect(validateStatusStubs({ 1: 'maybe' })).toMatch(/"po" or "rts"/);
+    expect(validateStatusStubs([])).toMatch(/object/);
+    expect(validateProductStubs({ 10: { title: 'Mystery Box', tags: 'mysterybox, new' } })).toBeNull();
+    expect(validateProductStubs({ 10: { tags: ['mysterybox'] } })).toMatch(/comma separated/);
+    expect(validateProductStubs(null)).toMatch(/object/);
+  });
+});
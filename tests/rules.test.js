@@ -0,0 +1,64 @@
+import { findMatchingRule, applyRuleAction, rulesUseTags, validateRules } from '../lib/rules.js';
+
+describe('Shipping rule engine', () => {
+  const context = (overrides = {}) => ({
+    bucket: 'rts',
+    subtotal: 3000,
+    itemCount: 1,
+    province: 'NY',
+    postalCode: '10001',
+    tags: new Set(),
+    ...overrides
+  });
+
+  const rules = [
+    { id: 'hidden', enabled: false, conditions: {}, action: { type: 'hide' } },
+    { id: 'ca-po-free', conditions: { buckets: ['po'], provinces: ['CA'] }, action: { type: 'free' } },
+    { id: 'oversized', conditions: { tags: ['Oversized'] }, action: { type: 'fixed', amount: 1500 } },
+    { id: 'nyc-small', conditions: { zipPrefixes: ['100'], maxSubtotal: 2500 }, action: { type: 'percent', percent: 10 } },
+    { id: 'bulk', conditions: { minItems: 5, minSubtotal: 2000 }, action: { type: 'fixed', amount: 200 } }
+  ];
+
+  test('First enabled matching rule wins', () => {
+    expect(findMatchingRule(rules, context({ bucket: 'po', province: 'CA' })).id).toBe('ca-po-free');
+    expect(findMatchingRule(rules, context({ bucket: 'rts', province: 'CA' }))).toBeNull();
+  });
+
+  test('Tag conditions match case-insensitively against any item tag', () => {
+    const rule = findMatchingRule(rules, context({ tags: new Set(['oversized', 'sale']) }));
+    expect(rule.id).toBe('oversized');
+  });
+
+  test('Subtotal max is exclusive, min is inclusive', () => {
+    expect(findMatchingRule(rules, context({ subtotal: 2499 })).id).toBe('nyc-small');
+    expect(findMatchingRule(rules, context({ subtotal: 2500 }))).toBeNull();
+    expect(findMatchingRule(rules, context({ subtotal: 2000, itemCount: 5, postalCode: '90210' })).id).toBe('bulk');
+  });
+
+  test('Actions price the group subtotal', () => {
+    expect(applyRuleAction({ action: { type: 'free' } }, { groupSubtotal: 3000 })).toBe(0);
+    expect(applyRuleAction({ action: { type: 'fixed', amount: 750 } }, { groupSubtotal: 3000 })).toBe(750);
+    expect(applyRuleAction({ action: { type: 'percent', percent: 12.5 } }, { groupSubtotal: 3000 })).toBe(375);
+    expect(applyRuleAction({ action: { type: 'hide' } }, { groupSubtotal: 3000 })).toBeNull();
+  });
+
+  test('Tags are only needed when an enabled rule uses them', () => {
+    expect(rulesUseTags(rules)).toBe(true);
+    expect(rulesUseTags(rules.filter(r => r.id !== 'oversized'))).toBe(false);
+  });
+
+  test('Validation rejects malformed rules', () => {
+    expect(validateRules(rules)).toBeNull();
+    expect(validateRules({})).toBe('rules must be an array');
+    expect(validateRules([{ action: { type: 'discount' } }])).toMatch(/action.type/);
+    expect(validateRules([{ action: { type: 'fixed' } }])).toMatch(/amount/);
+    expect(validateRules([{ conditions: { buckets: ['gift'] }, action: { type: 'free' } }])).toMatch(/buckets/);
+    expect(validateRules([{ conditions: { provinces: [6] }, action: { type: 'free' } }])).toMatch(/provinces must be a list of strings/);
+    expect(validateRules([{ conditions: { zipPrefixes: [''] }, action: { type: 'free' } }])).toMatch(/zipPrefixes must be a list of strings/);
+    expect(validateRules([{ conditions: { tags: [{}] }, action: { type: 'free' } }])).toMatch(/tags must be a list of strings/);
+    expect(validateRules([
+      { id: 'a', action: { type: 'free' } },
+      { id: 'a', action: { type: 'hide' } }
+    ])).toMatch(/duplicate/);
+  });
+});
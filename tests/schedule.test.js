@@ -0,0 +1,99 @@
+import { parseWindowTime, validateSchedule, normalizeSchedule, applySchedule, describeSchedule } from '../lib/schedule.js';
+
+describe('Schedule', () => {
+  const blackFriday = {
+    id: 'bf',
+    name: 'Black Friday',
+    type: 'threshold',
+    start: '2026-11-27T00:00',
+    end: '2026-12-01T00:00',
+    timezone: 'America/New_York',
+    threshold: 2500
+  };
+  const config = {
+    threshold: 5000,
+    feeUnderThreshold: 500,
+    killSwitch: false,
+    promotion: { enabled: false, flatRate: 695 },
+    currencies: { CAD: { threshold: 7000, promoFlatRate: 995 } },
+    schedule: [blackFriday]
+  };
+
+  test('Local times are read in the window time zone', () => {
+    expect(new Date(parseWindowTime('2026-11-27T00:00', 'America/New_York')).toISOString()).toBe('2026-11-27T05:00:00.000Z');
+    expect(new Date(parseWindowTime('2026-07-01T00:00', 'America/New_York')).toISOString()).toBe('2026-07-01T04:00:00.000Z');
+    expect(new Date(parseWindowTime('2026-11-27T00:00+01:00')).toISOString()).toBe('2026-11-26T23:00:00.000Z');
+    expect(parseWindowTime('2026-11-27T00:00', 'Mars/Olympus')).toBeNaN();
+    expect(parseWindowTime('next friday')).toBeNaN();
+  });
+
+  test('Invalid windows are explained', () => {
+    expect(validateSchedule([blackFriday])).toBeNull();
+    expect(validateSchedule({})).toMatch(/array/);
+    expect(validateSchedule([{ ...blackFriday, type: 'sale' }])).toMatch(/type/);
+    expect(validateSchedule([{ ...blackFriday, timezone: 'Mars/Olympus' }])).toMatch(/time zone/);
+    expect(validateSchedule([{ ...blackFriday, end: '2026-11-26T00:00' }])).toMatch(/after start/);
+    expect(validateSchedule([{ ...blackFriday, threshold: undefined }])).toMatch(/needs a threshold/);
+    expect(validateSchedule([{ ...blackFriday, threshold: 25.5 }])).toMatch(/cents/);
+    expect(validateSchedule([blackFriday, blackFriday])).toMatch(/duplicate/);
+  });
+
+  test('Windows only apply while they are open', () => {
+    const before = applySchedule(config, Date.parse('2026-11-27T04:59:00Z'));
+    expect(before.config).toBe(config);
+    expect(before.active).toEqual([]);
+
+    const during = applySchedule(config, Date.parse('2026-11-27T05:00:00Z'));
+    expect(during.config.threshold).toBe(2500);
+    expect(during.config.currencies.CAD).toEqual({ promoFlatRate: 995 });
+    expect(during.active.map(window => window.id)).toEqual(['bf']);
+    expect(config.threshold).toBe(5000);
+
+    expect(applySchedule(config, Date.parse('2026-12-01T05:00:00Z')).active).toEqual([]);
+    expect(applySchedule({ ...config, schedule: [{ ...blackFriday, enabled: false }] }, Date.parse('2026-11-28T00:00:00Z')).active).toEqual([]);
+  });
+
+  test('Kill switch and promotion windows', () => {
+    const schedule = normalizeSchedule([
+      { type: 'promotion', start: '2026-11-27T00:00', end: '2026-11-28T00:00', flatRate: 0 },
+      { type: 'kill-switch', start: '2026-11-27T12:00Z', end: '2026-11-27T13:00Z' }
+    ]);
+    const { config: effective } = applySchedule({ ...config, schedule }, Date.parse('2026-11-27T12:30:00Z'));
+
+    expect(schedule.every(window => window.id && window.timezone && window.enabled)).toBe(true);
+    expect(effective.killSwitch).toBe(true);
+    expect(effective.promotion).toEqual({ enabled: true, flatRate: 0 });
+    expect(effective.currencies.CAD.promoFlatRate).toBeUndefined();
+  });
+
+  test('Promotion windows can target one promotion', () => {
+    const promotions = [{ id: 'stickers', enabled: false, flatRate: 395 }, { id: 'pins', enabled: true, flatRate: 295 }];
+    const schedule = [{ type: 'promotion', promotionId: 'stickers', start: '2026-11-27T00:00', end: '2026-11-28T00:00', flatRate: 0 }];
+    const at = Date.parse('2026-11-27T12:00:00Z');
+    const { config: effective } = applySchedule({ ...config, promotions, schedule }, at);
+
+    expect(effective.promotion).toEqual({ enabled: true, flatRate: 695 });
+    expect(effective.promotions).toEqual([{ id: 'stickers', enabled: true, flatRate: 0 }, { id: 'pins', enabled: false, flatRate: 295 }]);
+    expect(promotions[0].enabled).toBe(false);
+
+    // Promotions that are already on stay on
+    const alreadyOn = applySchedule({ ...config, promotion: { ...config.promotion, enabled: true }, promotions, schedule }, at).config;
+    expect(alreadyOn.promotions.map(({ enabled }) => enabled)).toEqual([true, true]);
+    expect(validateSchedule([{ ...schedule[0], promotionId: 7 }])).toMatch(/promotionId/);
+    expect(validateSchedule(schedule, { promotions })).toBeNull();
+    expect(validateSchedule(schedule, { promotions: [{ id: 'pins' }] })).toMatch(/"stickers" is not one of pins/);
+    expect(validateSchedule(schedule)).toMatch(/not one of mystery-box/);
+    expect(validateSchedule([{ ...schedule[0], promotionId: 'mystery-box' }])).toBeNull();
+  });
+
+  test('Describes each window with its status', () => {
+    const schedule = [
+      { ...blackFriday, id: 'later' },
+      { ...blackFriday, id: 'past', start: '2025-11-28T00:00', end: '2025-12-01T00:00' }
+    ];
+    const described = describeSchedule(schedule, Date.parse('2026-11-01T00:00:00Z'));
+
+    expect(described.map(window => [window.id, window.status])).toEqual([['past', 'ended'], ['later', 'upcoming']]);
+    expect(described[1].starts_at).toBe('2026-11-27T05:00:00.000Z');
+  });
+});
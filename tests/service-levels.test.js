@@ -0,0 +1,63 @@
+import { levelsFor, priceServiceLevel, validateServiceLevels, normalizeServiceLevels } from '../lib/service-levels.js';
+
+describe('Service levels', () => {
+  const money = { convert: cents => cents };
+  const profile = { threshold: 5000 };
+  const expedited = { id: 'expedited', name: 'Expedited', price: { base: 1200, perItem: 100, perKg: 200 }, threshold: null };
+
+  test('Price formula: base, per item and per started kg', () => {
+    expect(priceServiceLevel(expedited, { combinedSubtotal: 9000, combinedGrams: 1500, itemCount: 3 }, profile, money))
+      .toEqual({ price: 1900, free: false });
+    expect(priceServiceLevel(expedited, { combinedSubtotal: 1000, combinedGrams: 0, itemCount: 1 }, profile, { convert: cents => cents * 2 }).price)
+      .toBe(2600);
+  });
+
+  test('Threshold eligibility', () => {
+    const stats = { combinedSubtotal: 6000, combinedGrams: 0, itemCount: 1 };
+    expect(priceServiceLevel({ ...expedited, threshold: 'standard' }, stats, profile, money)).toEqual({ price: 0, free: true });
+    expect(priceServiceLevel({ ...expedited, threshold: 10000 }, stats, profile, money).free).toBe(false);
+    expect(priceServiceLevel({ ...expedited, threshold: 10000 }, { ...stats, combinedSubtotal: 10000 }, profile, money).price).toBe(0);
+  });
+
+  test('Disabled levels and zoned destinations', () => {
+    const serviceLevels = { rts: [expedited, { ...expedited, id: 'off', enabled: false }, { ...expedited, id: 'anywhere', allDestinations: true }] };
+    expect(levelsFor(serviceLevels, 'rts').map(level => level.id)).toEqual(['expedited', 'anywhere']);
+    expect(levelsFor(serviceLevels, 'rts', { zoned: true }).map(level => level.id)).toEqual(['anywhere']);
+    expect(levelsFor(serviceLevels, 'po')).toEqual([]);
+  });
+
+  test('Invalid levels are explained', () => {
+    expect(validateServiceLevels({ rts: [expedited], po: [] })).toBeNull();
+    expect(validateServiceLevels([])).toMatch(/keyed by bucket/);
+    expect(validateServiceLevels({ ground: [] })).toMatch(/not a bucket/);
+    expect(validateServiceLevels({ rts: [{ price: {} }] })).toMatch(/id or name/);
+    expect(validateServiceLevels({ rts: [expedited, expedited] })).toMatch(/duplicate/);
+    expect(validateServiceLevels({ rts: [{ ...expedited, serviceCode: 'RTS_STD' }] })).toMatch(/already used/);
+    expect(validateServiceLevels({ rts: [{ ...expedited, price: { base: -1 } }] })).toMatch(/price\.base/);
+    expect(validateServiceLevels({ rts: [{ ...expedited, threshold: 'always' }] })).toMatch(/threshold/);
+    expect(validateServiceLevels({ rts: [{ ...expedited, delivery: { maxTransitDays: 1.5 } }] })).toMatch(/whole number/);
+    expect(validateServiceLevels({ rts: [{ ...expedited, delivery: { minTransitDays: 3, maxTransitDays: 2 } }] })).toMatch(/minTransitDays/);
+  });
+
+  test('Service codes and delivery days are checked against the config they run with', () => {
+    const config = {
+      serviceLevels: { rts: [], po: [{ id: 'rush', serviceCode: 'RUSH', price: {} }] },
+      delivery: { rts: { handlingDays: 0, minTransitDays: 2, maxTransitDays: 5 } }
+    };
+    const rush = { id: 'rush', serviceCode: 'RUSH', price: { base: 900 } };
+
+    expect(validateServiceLevels({ rts: [rush] }, config)).toMatch(/"RUSH" is already used/);
+    expect(validateServiceLevels({ rts: [rush], po: [] }, config)).toBeNull();
+    expect(validateServiceLevels({ rts: [{ id: 'fast', price: {} }, { id: 'two', serviceCode: 'RTS_FAST', price: {} }] }))
+      .toMatch(/"RTS_FAST" is already used/);
+    expect(validateServiceLevels({ rts: [{ ...rush, delivery: { maxTransitDays: 1 } }], po: [] }, config)).toMatch(/minTransitDays/);
+    expect(validateServiceLevels({ po: [{ ...rush, delivery: { maxTransitDays: 1 } }] }, config)).toBeNull();
+  });
+
+  test('Fills in ids and service codes', () => {
+    const { po: [level] } = normalizeServiceLevels({ po: [{ name: 'Overnight Air', price: { base: 3500 } }] });
+    expect(level).toEqual(expect.objectContaining({
+      id: 'overnight-air', serviceCode: 'PO_OVERNIGHT_AIR', enabled: true, threshold: null, allDestinations: false
+    }));
+  });
+});
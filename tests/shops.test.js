@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMemoryCache } from '../lib/cache.js';
+import { createTokenStore } from '../lib/token-store.js';
+import { createShopRegistry, normalizeShopDomain, mergeConfig } from '../lib/shops.js';
+
+describe('Shops', () => {
+  const defaultConfig = { threshold: 5000, labels: { rts: 'Ships Now', po: 'Ships Later' }, rules: [] };
+  let dir;
+  let cache;
+  let tokenStore;
+  let shops;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ship-shops-'));
+    cache = createMemoryCache();
+    tokenStore = createTokenStore({ dir, secret: 'test-secret' });
+    shops = createShopRegistry({
+      dataDir: dir,
+      defaultConfig,
+      cache,
+      tokenStore,
+      defaultShop: 'env-shop.myshopify.com',
+      defaultAccessToken: 'env-token'
+    });
+  });
+
+  afterEach(async () => {
+    await cache.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('Shop domains must be *.myshopify.com', () => {
+    expect(normalizeShopDomain(' Store-1.MyShopify.com ')).toBe('store-1.myshopify.com');
+    expect(normalizeShopDomain('evil.com')).toBeNull();
+    expect(normalizeShopDomain('store.myshopify.com.evil.com')).toBeNull();
+    expect(normalizeShopDomain(undefined)).toBeNull();
+  });
+
+  test('Saved config is merged over the defaults', () => {
+    expect(mergeConfig(defaultConfig, { threshold: 7500, labels: { po: 'Later' } })).toEqual({
+      threshold: 7500,
+      labels: { rts: 'Ships Now', po: 'Later' },
+      rules: []
+    });
+  });
+
+  test('Only installed shops and the env shop resolve', async () => {
+    await tokenStore.save('one.myshopify.com', { accessToken: 'one-token' });
+
+    expect((await shops.resolve('one.myshopify.com')).accessToken).toBe('one-token');
+    expect((await shops.resolve('env-shop.myshopify.com')).accessToken).toBe('env-token');
+    expect(await shops.resolve('two.myshopify.com')).toBeNull();
+    expect(await shops.resolve('not a shop')).toBeNull();
+  });
+
+  test('Each shop has its own config and cache namespace', async () => {
+    await tokenStore.save('one.myshopify.com', { accessToken: 'one-token' });
+    const one = await shops.resolve('one.myshopify.com');
+    const env = await shops.resolve('env-shop.myshopify.com');
+
+    one.config.threshold = 9900;
+    await one.configStore.save(one.config);
+    await one.cache.set('preproduct_variant_1', true, 60);
+
+    expect(env.config.threshold).toBe(5000);
+    expect(await env.cache.get('preproduct_variant_1')).toBeNull();
+    expect(await one.cache.keys('preproduct_variant_*')).toEqual(['preproduct_variant_1']);
+    expect(one.configStore.filePath).toBe(path.join(dir, 'shops', 'one.myshopify.com', 'config-history.json'));
+    expect(env.configStore.filePath).toBe(path.join(dir, 'config-history.json'));
+
+    // Forgetting the shop (as a reinstall does) reloads the saved config
+    shops.forget('one.myshopify.com');
+    expect((await shops.resolve('one.myshopify.com')).config.threshold).toBe(9900);
+  });
+
+  test('Purging a shop removes its token, cache and config', async () => {
+    await tokenStore.save('one.myshopify.com', { accessToken: 'one-token' });
+    const one = await shops.resolve('one.myshopify.com');
+    const env = await shops.resolve('env-shop.myshopify.com');
+    await one.configStore.save(one.config);
+    await one.cache.set('preproduct_variant_1', true, 60);
+    await env.cache.set('preproduct_variant_1', false, 60);
+
+    expect(await shops.purge('one.myshopify.com')).toEqual({
+      shop: 'one.myshopify.com',
+      tokenRemoved: true,
+      cacheEntriesRemoved: 1,
+      configRemoved: true
+    });
+    expect(await shops.resolve('one.myshopify.com')).toBeNull();
+    await expect(fs.access(path.join(dir, 'shops', 'one.myshopify.com'))).rejects.toThrow();
+    expect(await env.cache.get('preproduct_variant_1')).toBe(false);
+
+    // The env shop keeps its config in DATA_DIR
+    await env.configStore.save(env.config);
+    expect((await shops.purge('env-shop.myshopify.com')).configRemoved).toBe(false);
+    await expect(fs.access(env.configStore.filePath)).resolves.toBeUndefined();
+  });
+
+  test('Lists the env shop alongside installed shops', async () => {
+    await tokenStore.save('one.myshopify.com', { accessToken: 'one-token', scope: 'read_products' });
+    expect(await shops.list()).toEqual([
+      expect.objectContaining({ shop: 'env-shop.myshopify.com', source: 'env' }),
+      expect.objectContaining({ shop: 'one.myshopify.com', source: 'oauth', scope: 'read_products' })
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  resolveWithProviders,
+  statusFromMetafield,
+  statusFromInventory,
+  statusFromTag,
+  requiredDetails,
+  validateStatusProviders,
+  normalizeStatusProviders
+} from '../lib/status-providers.js';
+
+describe('Pre-order status providers', () => {
+  const metafield = { type: 'metafield', namespace: 'preproduct', key: 'is_preorder' };
+
+  test('Metafield values', () => {
+    expect(statusFromMetafield({ metafields: { 'preproduct.is_preorder': 'true' } }, metafield)).toBe(true);
+    expect(statusFromMetafield({ metafields: { 'preproduct.is_preorder': 'false' } }, metafield)).toBe(false);
+    expect(statusFromMetafield({ metafields: { 'preproduct.is_preorder': null } }, metafield)).toBeNull();
+    expect(statusFromMetafield(undefined, metafield)).toBeNull();
+  });
+
+  test('Inventory: out of stock and still selling is pre-order', () => {
+    expect(statusFromInventory({ inventoryQuantity: 0, inventoryPolicy: 'CONTINUE', tracked: true })).toBe(true);
+    expect(statusFromInventory({ inventoryQuantity: -3, inventoryPolicy: 'CONTINUE', tracked: true })).toBe(true);
+    expect(statusFromInventory({ inventoryQuantity: 0, inventoryPolicy: 'DENY', tracked: true })).toBe(false);
+    expect(statusFromInventory({ inventoryQuantity: 5, inventoryPolicy: 'CONTINUE', tracked: true })).toBe(false);
+    expect(statusFromInventory({ inventoryQuantity: 0, inventoryPolicy: 'CONTINUE', tracked: false })).toBeNull();
+  });
+
+  test('Tag matches case-insensitively', () => {
+    expect(statusFromTag({ tags: ['Pre-Order', 'new'] }, { type: 'tag', tag: 'pre-order' })).toBe(true);
+    expect(statusFromTag({ tags: ['new'] }, { type: 'tag' })).toBe(false);
+    expect(statusFromTag(undefined, { type: 'tag' })).toBeNull();
+  });
+
+  test('Unknown variants fall through to the next provider', async () => {
+    let detailLookups = 0;
+    const results = await resolveWithProviders(
+      [{ type: 'batchy' }, metafield, { type: 'inventory' }],
+      ['1', '2', '3'],
+      {
+        batchy: async () => new Map([['1', true], ['2', null], ['3', null]]),
+        variantDetails: async (variantIds) => {
+          detailLookups++;
+          expect(variantIds).toEqual(['2', '3']);
+          return new Map([
+            ['2', { metafields: { 'preproduct.is_preorder': 'false' } }],
+            ['3', { metafields: {}, inventoryQuantity: 0, inventoryPolicy: 'CONTINUE', tracked: true }]
+          ]);
+        }
+      }
+    );
+
+    expect(results.get('1')).toEqual({ isPreOrder: true, provider: 'batchy' });
+    expect(results.get('2')).toEqual({ isPreOrder: false, provider: 'metafield' });
+    expect(results.get('3')).toEqual({ isPreOrder: true, provider: 'inventory' });
+    expect(detailLookups).toBe(1);
+  });
+
+  test('A failing provider leaves variants unknown for the next one', async () => {
+    const results = await resolveWithProviders([{ type: 'batchy' }, metafield], ['1'], {
+      batchy: async () => { throw new Error('Batchy down'); },
+      variantDetails: async () => new Map([['1', { metafields: { 'preproduct.is_preorder': 'true' } }]])
+    });
+    expect(results.get('1')).toEqual({ isPreOrder: true, provider: 'metafield' });
+
+    const unknown = await resolveWithProviders([{ type: 'batchy' }], ['1'], {
+      batchy: async () => { throw new Error('Batchy down'); }
+    });
+    expect(unknown.get('1')).toEqual({ isPreOrder: null, provider: null });
+  });
+
+  test('Providers can report a pre-order ship date', async () => {
+    const withDate = { ...metafield, shipDateKey: 'preproduct.ship_date' };
+    expect(statusFromMetafield({ metafields: { 'preproduct.is_preorder': 'true', 'preproduct.ship_date': '2026-12-10' } }, withDate))
+      .toEqual({ isPreOrder: true, shipDate: '2026-12-10' });
+    expect(statusFromMetafield({ metafields: { 'preproduct.is_preorder': 'true', 'preproduct.ship_date': null } }, withDate)).toBe(true);
+    expect(requiredDetails([withDate]).metafields).toEqual(['preproduct.is_preorder', 'preproduct.ship_date']);
+
+    const results = await resolveWithProviders([{ type: 'batchy' }], ['1', '2'], {
+      batchy: async () => new Map([
+        ['1', { isPreOrder: true, status: 'PREORDER_OPEN', shipDate: '2026-12-10T00:00:00Z' }],
+        ['2', { isPreOrder: false, status: 'IN_STOCK', shipDate: null }]
+      ])
+    });
+    expect(results.get('1')).toEqual({ isPreOrder: true, provider: 'batchy', shipDate: '2026-12-10' });
+    expect(results.get('2')).toEqual({ isPreOrder: false, provider: 'batchy' });
+  });
+
+  test('Only the details the chain uses are requested', () => {
+    expect(requiredDetails([{ type: 'batchy' }, metafield])).toEqual({
+      metafields: ['preproduct.is_preorder'],
+      inventory: false,
+      tags: false
+    });
+  });
+
+  test('Validation and defaults', () => {
+    expect(validateStatusProviders([{ type: 'batchy' }, metafield])).toBeNull();
+    expect(validateStatusProviders([])).toMatch(/at least one/);
+    expect(validateStatusProviders([{ type: 'preproduct' }])).toMatch(/type must be one of/);
+    expect(validateStatusProviders([{ type: 'tag', tag: ' ' }])).toMatch(/non-empty string/);
+    expect(validateStatusProviders([{ ...metafield, shipDateKey: 'ship_date' }])).toMatch(/namespace\.key/);
+
+    expect(normalizeStatusProviders([{ type: 'metafield' }, { type: 'tag', tag: 'PreOrder' }])).toEqual([
+      metafield,
+      { type: 'tag', tag: 'preorder' }
+    ]);
+  });
+});
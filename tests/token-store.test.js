@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTokenStore } from '../lib/token-store.js';
+
+describe('Token store', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ship-tokens-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('Tokens are encrypted on disk and survive a restart', async () => {
+    const store = createTokenStore({ dir, secret: 'test-secret' });
+    await store.save('one.myshopify.com', { accessToken: 'shpat_secret_token', scope: 'read_products' });
+
+    const raw = await fs.readFile(store.filePath, 'utf8');
+    expect(raw).not.toContain('shpat_secret_token');
+
+    const reopened = createTokenStore({ dir, secret: 'test-secret' });
+    expect(await reopened.get('one.myshopify.com')).toMatchObject({
+      shop: 'one.myshopify.com',
+      accessToken: 'shpat_secret_token',
+      scope: 'read_products'
+    });
+    expect(await reopened.get('two.myshopify.com')).toBeNull();
+  });
+
+  test('Listing never includes tokens', async () => {
+    const store = createTokenStore({ dir, secret: 'test-secret' });
+    await Promise.all([
+      store.save('one.myshopify.com', { accessToken: 'a' }),
+      store.save('two.myshopify.com', { accessToken: 'b' })
+    ]);
+
+    const shops = await store.list();
+    expect(shops.map(entry => entry.shop).sort()).toEqual(['one.myshopify.com', 'two.myshopify.com']);
+    expect(JSON.stringify(shops)).not.toMatch(/"a"|"b"|accessToken/);
+  });
+
+  test('Reinstalling keeps the install date; remove deletes the shop', async () => {
+    const store = createTokenStore({ dir, secret: 'test-secret' });
+    const first = await store.save('one.myshopify.com', { accessToken: 'old' });
+    const second = await store.save('one.myshopify.com', { accessToken: 'new' });
+
+    expect(second.installedAt).toBe(first.installedAt);
+    expect((await store.get('one.myshopify.com')).accessToken).toBe('new');
+    expect(await store.remove('one.myshopify.com')).toBe(true);
+    expect(await store.get('one.myshopify.com')).toBeNull();
+  });
+
+  test('A wrong or missing key cannot read tokens', async () => {
+    await createTokenStore({ dir, secret: 'test-secret' }).save('one.myshopify.com', { accessToken: 'a' });
+
+    await expect(createTokenStore({ dir, secret: 'other-secret' }).get('one.myshopify.com')).rejects.toThrow();
+    await expect(createTokenStore({ dir }).get('one.myshopify.com')).rejects.toThrow(/TOKEN_ENCRYPTION_KEY/);
+    await expect(createTokenStore({ dir }).save('two.myshopify.com', { accessToken: 'b' })).rejects.toThrow(/TOKEN_ENCRYPTION_KEY/);
+  });
+});
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { createMemoryCache } from '../lib/cache.js';
+import { verifyWebhook, createDeliveryLog, WEBHOOK_TOPICS } from '../lib/webhooks.js';
+
+const SECRET = 'webhook-secret';
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+}
+
+describe('Webhook verification', () => {
+  const body = Buffer.from(JSON.stringify({ id: 1, title: 'Mystery Box' }));
+
+  test('Accepts the HMAC of the raw body', () => {
+    expect(verifyWebhook(body, sign(body), SECRET)).toBe(true);
+  });
+
+  test('Rejects tampered bodies, wrong secrets and missing or malformed headers', () => {
+    expect(verifyWebhook(Buffer.from('{"id":2}'), sign(body), SECRET)).toBe(false);
+    expect(verifyWebhook(body, sign(body, 'other-secret'), SECRET)).toBe(false);
+    expect(verifyWebhook(body, undefined, SECRET)).toBe(false);
+    expect(verifyWebhook(body, 'c2hvcnQ=', SECRET)).toBe(false);
+  });
+
+  test('Every topic has its own route', () => {
+    const routes = Object.values(WEBHOOK_TOPICS);
+    expect(new Set(routes).size).toBe(routes.length);
+    expect(Object.keys(WEBHOOK_TOPICS)).toEqual(expect.arrayContaining(['app/uninstalled', 'products/delete', 'inventory_levels/update']));
+  });
+});
+
+describe('Webhook delivery log', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = createMemoryCache();
+  });
+
+  afterEach(() => cache.close());
+
+  test('Remembers handled deliveries per shop', async () => {
+    const deliveries = createDeliveryLog(cache);
+    expect(await deliveries.seen('one.myshopify.com', 'abc')).toBe(false);
+
+    await deliveries.record('one.myshopify.com', 'abc', 'products/update');
+    expect(await deliveries.seen('one.myshopify.com', 'abc')).toBe(true);
+    expect(await deliveries.seen('two.myshopify.com', 'abc')).toBe(false);
+  });
+
+  test('Forgets deliveries after the retry window', async () => {
+    const deliveries = createDeliveryLog(cache, { ttlSeconds: 1 });
+    await deliveries.record('one.myshopify.com', 'abc', 'products/update');
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    expect(await deliveries.seen('one.myshopify.com', 'abc')).toBe(false);
+  });
+});
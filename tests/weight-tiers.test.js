@@ -0,0 +1,34 @@
+import { findWeightTier, validateWeightTiers } from '../lib/weight-tiers.js';
+
+describe('Weight tiers', () => {
+  // Deliberately out of order - lookups sort by maxGrams
+  const tiers = [
+    { maxGrams: null, price: 1500, freeOverThreshold: false },
+    { maxGrams: 1000, price: 500 },
+    { maxGrams: 5000, price: 900 }
+  ];
+
+  test('Weight picks the lightest tier it fits in', () => {
+    expect(findWeightTier(tiers, 0).price).toBe(500);
+    expect(findWeightTier(tiers, 1000).price).toBe(500);
+    expect(findWeightTier(tiers, 1001).price).toBe(900);
+    expect(findWeightTier(tiers, 25000).price).toBe(1500);
+  });
+
+  test('Weights above every capped tier use the heaviest tier', () => {
+    expect(findWeightTier([{ maxGrams: 1000, price: 500 }, { maxGrams: 2000, price: 700 }], 9000).price).toBe(700);
+  });
+
+  test('No tiers → no tier', () => {
+    expect(findWeightTier([], 500)).toBeNull();
+    expect(findWeightTier(undefined, 500)).toBeNull();
+  });
+
+  test('Validation', () => {
+    expect(validateWeightTiers({ rts: tiers, po: [] })).toBeNull();
+    expect(validateWeightTiers([])).toMatch(/object/);
+    expect(validateWeightTiers({ gift: [] })).toMatch(/not a bucket/);
+    expect(validateWeightTiers({ rts: [{ maxGrams: 100 }] })).toMatch(/price/);
+    expect(validateWeightTiers({ rts: [{ price: 1 }, { maxGrams: null, price: 2 }] })).toMatch(/one open-ended/);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  findZone,
+  findCountryTable,
+  isMilitaryAddress,
+  resolvePricingProfile,
+  validateZones,
+  validateInternational
+} from '../lib/zones.js';
+
+describe('Shipping zones', () => {
+  const zones = [
+    { id: 'off', enabled: false, match: { provinces: ['NY'] } },
+    { id: 'ak-hi', match: { provinces: ['AK', 'HI'] }, threshold: 7500, feeUnderThreshold: 1200, labels: { rts: 'Ships Now (AK/HI)', po: '' } },
+    { id: 'military', match: { military: true }, feeUnderThreshold: 0 },
+    { id: 'territories', match: { countries: ['PR', 'GU'] }, split: true },
+    { id: 'remote-zip', match: { zipPrefixes: ['969'] } }
+  ];
+
+  test('Alaska and Hawaii match by province', () => {
+    expect(findZone(zones, { country: 'US', province: 'HI', postal_code: '96815' }).id).toBe('ak-hi');
+    expect(findZone(zones, { country: 'US', province: 'NY', postal_code: '10001' })).toBeNull();
+  });
+
+  test('Military addresses match by APO/FPO/DPO city or AA/AE/AP state', () => {
+    expect(isMilitaryAddress({ city: ' fpo ', province: 'CA' })).toBe(true);
+    expect(isMilitaryAddress({ city: 'Tampa', province: 'AE' })).toBe(true);
+    expect(isMilitaryAddress({ city: 'Tampa', province: 'FL' })).toBe(false);
+    expect(findZone(zones, { country: 'US', city: 'APO', province: 'AE', postal_code: '09001' }).id).toBe('military');
+  });
+
+  test('Territories match by their own country code', () => {
+    expect(findZone(zones, { country: 'PR', province: 'PR', postal_code: '00901' }).id).toBe('territories');
+    expect(findZone(zones, { country: 'VI', postal_code: '00802' })).toBeNull();
+  });
+
+  test('ZIP prefixes only apply to US destinations', () => {
+    expect(findZone(zones, { country: 'US', postal_code: '96910' }).id).toBe('remote-zip');
+    expect(findZone(zones, { country: 'CA', postal_code: '969 10' })).toBeNull();
+  });
+
+  test('Profile inherits anything the zone does not override', () => {
+    const config = {
+      threshold: 5000,
+      feeUnderThreshold: 500,
+      labels: { rts: 'Ships Now', po: 'Ships Later' },
+      descriptions: { rts: 'Ready to ship', po: 'Free over $50' }
+    };
+
+    expect(resolvePricingProfile(config, zones[1])).toEqual({
+      zone: 'ak-hi',
+      threshold: 7500,
+      feeUnderThreshold: 1200,
+      labels: { rts: 'Ships Now (AK/HI)', po: 'Ships Later' },
+      descriptions: config.descriptions
+    });
+    expect(resolvePricingProfile(config, null)).toMatchObject({ zone: null, threshold: 5000, feeUnderThreshold: 500 });
+  });
+
+  test('Validation', () => {
+    expect(validateZones(zones)).toBeNull();
+    expect(validateZones({})).toMatch(/array/);
+    expect(validateZones([{ name: 'Canada', match: { countries: ['CA'] } }])).toMatch(/US territories/);
+    expect(validateZones([{ name: 'Empty', match: {} }])).toMatch(/at least one/);
+    expect(validateZones([{ name: 'Bad province', match: { provinces: [42] } }])).toMatch(/provinces must be a list of strings/);
+    expect(validateZones([{ name: 'Blank ZIP', match: { zipPrefixes: ['995', ' '] } }])).toMatch(/zipPrefixes must be a list of strings/);
+    expect(validateZones([{ name: 'Bad country', match: { countries: [null] } }])).toMatch(/countries must be a list of strings/);
+    expect(validateZones([{ name: 'Bad fee', match: { provinces: ['AK'] }, feeUnderThreshold: -1 }])).toMatch(/feeUnderThreshold/);
+  });
+});
+
+describe('International rate tables', () => {
+  const international = {
+    enabled: true,
+    tables: [
+      { id: 'canada', countries: ['CA'], threshold: 10000, feeUnderThreshold: 1500 },
+      { id: 'eu-off', enabled: false, countries: ['FR'] },
+      { id: 'eu', countries: ['DE', 'FR', 'NL'], feeUnderThreshold: 2500 }
+    ]
+  };
+
+  test('Countries with a table get it, others fall back to Shopify', () => {
+    expect(findCountryTable(international, { country: 'CA' }).id).toBe('canada');
+    expect(findCountryTable(international, { country_code: 'fr' }).id).toBe('eu');
+    expect(findCountryTable(international, { country: 'JP' })).toBeNull();
+    expect(findCountryTable(international, { country: 'US' })).toBeNull();
+  });
+
+  test('Tables are ignored until international is enabled', () => {
+    expect(findCountryTable({ ...international, enabled: false }, { country: 'CA' })).toBeNull();
+  });
+
+  test('Validation', () => {
+    expect(validateInternational(international)).toBeNull();
+    expect(validateInternational({ enabled: true })).toBeNull();
+    expect(validateInternational([])).toMatch(/object/);
+    expect(validateInternational({ tables: [{ name: 'Nowhere', countries: [] }] })).toMatch(/at least one/);
+    expect(validateInternational({ tables: [{ name: 'Home', countries: ['US'] }] })).toMatch(/invalid country/);
+  });
+});